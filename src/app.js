@@ -0,0 +1,449 @@
+import express from 'express';
+import { TokenUpdateWorkflow } from './workflow.js';
+import { JobQueue } from './job-queue.js';
+import { createWebhookAuth } from './auth.js';
+import { loadSyncTargets } from './targets.js';
+import { TokenFormatError, convertW3CTokensToCSS } from './w3c-tokens.js';
+import { coalesceTokenCSS } from './token-merger.js';
+import { LLMClient, loadLLMConfig } from './llm-client.js';
+
+// One LLM client for the whole process, built on first use
+let llmClient = null;
+
+/**
+ * Create the Express app serving the webhook, preview, job, history and revert
+ * endpoints, with the queue that runs webhook submissions
+ *
+ * Sync targets and GitHub settings are read from the environment per request.
+ * @param {object} options
+ * @param {Array<{id: string, secret: string}>} options.webhookClients - Allowed clients (empty: no authentication)
+ * @param {import('./job-store.js').JobStore} options.jobStore
+ * @param {import('./history-store.js').HistoryStore} options.historyStore
+ * @param {string} [options.mergeStrategy] - claude or deterministic (default: MERGE_STRATEGY, else claude)
+ * @param {object} [options.githubClient] - GitHub client for every workflow (default: a new one per workflow)
+ * @returns {{app: import('express').Express, jobQueue: JobQueue}} The app, and the queue to restore before listening
+ */
+export function createApp({
+  webhookClients,
+  jobStore,
+  historyStore,
+  mergeStrategy = process.env.MERGE_STRATEGY || 'claude',
+  githubClient,
+}) {
+  const app = express();
+  const workflowOptions = { mergeStrategy, ...(githubClient && { githubClient }) };
+
+  // Parse text/plain as raw text and JSON token documents (the raw bytes are kept for
+  // signature checks). Bodies are only read once the request's credentials check out.
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  const parseBody = [
+    express.text({ limit: '10mb', verify: keepRawBody }),
+    express.json({ limit: '10mb', type: ['application/json', 'application/*+json'], verify: keepRawBody }),
+  ];
+
+  // Shared-secret authentication for everything except the health check
+  const requireAuth = webhookClients.length > 0
+    ? createWebhookAuth(webhookClients, {
+        toleranceSeconds: Number(process.env.WEBHOOK_SIGNATURE_TOLERANCE) || 300,
+        parseBody,
+      })
+    : parseBody;
+
+  // Webhook submissions are processed as one job per target, one job at a time. A
+  // job waits for its target's debounce window; submissions for that target arriving
+  // meanwhile are coalesced into it, so they produce a single commit.
+  const jobQueue = new JobQueue(jobStore, async ({ css, target: targetId, testMode, baseBranch }, { job, setStep }) => {
+    const target = findSyncTarget(targetId);
+    if (!target) {
+      return { success: false, error: `Sync target "${targetId}" is no longer configured` };
+    }
+
+    const result = await runForTargets([target], workflow => workflow.processUpdate(css), {
+      ...workflowOptions,
+      testMode,
+      onStep: setStep,
+      history: historyStore,
+      submittedBy: job.submittedBy,
+      ...(baseBranch && { baseBranch }),
+    });
+
+    for (const targetResult of result.targets) {
+      if (targetResult.success) {
+        if (targetResult.noChanges) {
+          console.log(`\n✅ Update complete for ${targetResult.target}: No changes detected in design tokens`);
+        } else {
+          console.log(`\n✅ Update complete for ${targetResult.target}: ${targetResult.prUrl}`);
+        }
+      } else {
+        console.error(`\n❌ Update failed for ${targetResult.target}: ${targetResult.error}`);
+      }
+    }
+
+    return result;
+  }, {
+    key: input => input.target,
+    debounce: input => (findSyncTarget(input.target)?.debounceSeconds ?? 0) * 1000,
+    coalesce: coalesceSubmissions,
+  });
+
+  // CORS middleware for Figma plugin (origin is 'null')
+  app.use((req, res, next) => {
+    res.header('Access-Control-Allow-Origin', process.env.CORS_ALLOW_ORIGIN || '*');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id, X-Timestamp, X-Signature');
+
+    // Handle preflight
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    next();
+  });
+
+  // Health check endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'Comfy Design Token Server',
+      version: '1.0.0',
+    });
+  });
+
+  // Webhook endpoint to receive CSS from Figma plugin
+  app.post('/webhook/figma-tokens', requireAuth, async (req, res) => {
+    try {
+      const css = readTokenCSS(req);
+
+      if (!css) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request: CSS content or a W3C design token document is required',
+        });
+      }
+
+      console.log(`\n📥 Received CSS update (${css.length} characters)`);
+
+      // Validate environment variables and the targets config
+      assertRequiredEnvVars(mergeStrategy);
+      loadSyncTargets();
+
+      // Check for test mode
+      const testMode = req.query.test === 'true' || process.env.TEST_MODE === 'true';
+
+      if (testMode) {
+        console.log('⚠️  TEST MODE ENABLED - PR creation will be skipped');
+      }
+
+      // Queue the update as one job per target; jobs run one at a time
+      // Optional base branch override for every target (?base=release/1.2)
+      const baseBranch = req.query.base || undefined;
+
+      const jobs = [];
+      for (const target of loadSyncTargets()) {
+        const job = await jobQueue.enqueue(
+          { css, target: target.id, testMode, baseBranch },
+          { target: target.id, submittedBy: req.client?.id }
+        );
+        jobs.push({
+          target: target.id,
+          jobId: job.id,
+          ...(job.absorbedInto && { absorbedInto: job.absorbedInto }),
+          statusUrl: `/jobs/${job.absorbedInto || job.id}`,
+        });
+      }
+
+      const absorbed = jobs.filter(job => job.absorbedInto);
+      res.status(202).json({
+        success: true,
+        message: absorbed.length === jobs.length
+          ? `Design tokens update merged into queued job ${absorbed.map(job => job.absorbedInto).join(', ')}`
+          : 'Design tokens update queued for processing',
+        // With a single target, its job is also described at the top level
+        ...(jobs.length === 1 && {
+          jobId: jobs[0].jobId,
+          ...(jobs[0].absorbedInto && { absorbedInto: jobs[0].absorbedInto }),
+          statusUrl: jobs[0].statusUrl,
+        }),
+        jobs,
+      });
+    } catch (error) {
+      console.error('❌ Error processing webhook:', error);
+      res.status(error instanceof TokenFormatError ? 400 : 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Preview endpoint: merge against main and return the result without touching GitHub
+  app.post('/preview', requireAuth, async (req, res) => {
+    try {
+      const css = readTokenCSS(req);
+
+      if (!css) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request: CSS content or a W3C design token document is required',
+        });
+      }
+
+      console.log(`\n🔍 Received CSS preview request (${css.length} characters)`);
+
+      assertRequiredEnvVars(mergeStrategy);
+
+      const baseBranch = req.query.base || undefined;
+      const result = await runForTargets(loadSyncTargets(), workflow => workflow.previewUpdate(css), {
+        ...workflowOptions,
+        ...(baseBranch && { baseBranch }),
+      });
+
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      console.error('❌ Error processing preview:', error);
+      res.status(error instanceof TokenFormatError ? 400 : 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Job status endpoint
+  app.get('/jobs/:id', requireAuth, (req, res) => {
+    const job = jobQueue.getStatus(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Job not found: ${req.params.id}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  });
+
+  // Sync history: most recent first, without the recorded token sections
+  app.get('/history', requireAuth, (req, res) => {
+    const limit = Number(req.query.limit) || 50;
+    const entries = historyStore
+      .list({ target: req.query.target })
+      .slice(0, limit)
+      .map(({ tokenSection, ...entry }) => entry);
+
+    res.json({
+      success: true,
+      entries,
+    });
+  });
+
+  // Revert: open a PR restoring a target's token section to its state after an earlier sync
+  app.post('/history/:id/revert', requireAuth, async (req, res) => {
+    try {
+      const entry = historyStore.get(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `History entry not found: ${req.params.id}`,
+        });
+      }
+
+      assertRequiredEnvVars(mergeStrategy);
+
+      const target = loadSyncTargets().find(candidate => candidate.id === entry.target);
+      if (!target) {
+        return res.status(409).json({
+          success: false,
+          error: `Sync target "${entry.target}" of history entry ${entry.id} is no longer configured`,
+        });
+      }
+
+      console.log(`\n⏪ Reverting target "${target.id}" to sync ${entry.id}`);
+
+      const testMode = req.query.test === 'true' || process.env.TEST_MODE === 'true';
+      const workflow = createWorkflow(target, {
+        ...workflowOptions,
+        testMode,
+        history: historyStore,
+        submittedBy: req.client?.id,
+        // Restore against the branch the recorded sync targeted, unless overridden
+        baseBranch: req.query.base || entry.baseBranch || target.baseBranch,
+      });
+      const result = await workflow.revertTo(entry);
+
+      res.status(result.success ? 200 : 500).json({ target: target.id, ...result });
+    } catch (error) {
+      console.error('❌ Error processing revert:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Malformed request bodies (e.g. invalid JSON) get a JSON error instead of an HTML page
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      return res.status(error.status).json({
+        success: false,
+        error: `Invalid request body: ${error.message}`,
+      });
+    }
+    next(error);
+  });
+
+  return { app, jobQueue };
+}
+
+/**
+ * Get the shared LLM client used by the claude merge strategy
+ * @returns {LLMClient}
+ */
+function getLLMClient() {
+  if (!llmClient) {
+    llmClient = new LLMClient(loadLLMConfig());
+  }
+  return llmClient;
+}
+
+/**
+ * Create a workflow for one sync target
+ * @param {object} target - Target from loadSyncTargets
+ * @param {object} options - Extra workflow config (mergeStrategy, githubClient, testMode, onStep, history, submittedBy)
+ * @returns {TokenUpdateWorkflow}
+ */
+function createWorkflow(target, { mergeStrategy, ...options }) {
+  return new TokenUpdateWorkflow({
+    ...(mergeStrategy === 'claude' && { llmClient: getLLMClient() }),
+    targetId: target.id,
+    githubToken: process.env.GITHUB_TOKEN,
+    githubOwner: target.owner,
+    githubRepo: target.repo,
+    targetFilePath: target.path,
+    baseBranch: target.baseBranch,
+    botBranch: target.botBranch,
+    maxBranchBehind: target.maxBranchBehind,
+    themeSelectors: target.themes,
+    tokenBlocks: target.blocks,
+    removalPolicy: target.removalPolicy,
+    usageScan: target.usageScan,
+    humanEditPolicy: target.humanEditPolicy,
+    contrast: target.contrast,
+    exports: target.exports,
+    mergeStrategy,
+    ...options,
+  });
+}
+
+/**
+ * Run a workflow method for sync targets, one after another
+ * @param {Array<object>} targets - Targets from loadSyncTargets
+ * @param {(workflow: TokenUpdateWorkflow) => Promise<object>} run - Runs the workflow for one target
+ * @param {object} options - Extra workflow config (mergeStrategy, githubClient, testMode, onStep, baseBranch, history, submittedBy)
+ * @returns {Promise<{success: boolean, error?: string, prUrl?: string, targets: Array<object>}>}
+ */
+async function runForTargets(targets, run, options) {
+  const results = [];
+
+  for (const target of targets) {
+    console.log(`\n🎯 Target "${target.id}": ${target.owner}/${target.repo}/${target.path}`);
+
+    const workflow = createWorkflow(target, {
+      ...options,
+      onStep: options.onStep && (step => options.onStep(`${target.id}: ${step}`)),
+    });
+    results.push({ target: target.id, ...(await run(workflow)) });
+  }
+
+  const failed = results.filter(result => !result.success);
+
+  return {
+    success: failed.length === 0,
+    ...(failed.length > 0 && {
+      error: `${failed.length} of ${results.length} target(s) failed: ${failed.map(result => `${result.target} (${result.error})`).join(', ')}`,
+    }),
+    ...(results.length === 1 && results[0].prUrl && { prUrl: results[0].prUrl }),
+    targets: results,
+  };
+}
+
+/**
+ * Read the CSS to sync from a request body: raw CSS (text/plain) or a W3C Design
+ * Tokens document (application/json), converted to CSS
+ * @param {import('express').Request} req
+ * @returns {string | null} CSS, or null when the body is missing
+ * @throws {TokenFormatError} When the token document cannot be converted
+ */
+function readTokenCSS(req) {
+  if (typeof req.body === 'string') {
+    return req.body || null;
+  }
+
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+    const aliases = req.query.aliases || process.env.TOKEN_ALIAS_MODE || 'var';
+    const css = convertW3CTokensToCSS(req.body, { aliases });
+    console.log(`   Converted W3C design tokens to CSS (aliases: ${aliases})`);
+    return css;
+  }
+
+  return null;
+}
+
+/**
+ * Throw if environment variables needed by the workflow are missing
+ * @param {string} mergeStrategy
+ */
+function assertRequiredEnvVars(mergeStrategy) {
+  const requiredEnvVars = [
+    ...(mergeStrategy === 'claude' ? llmEnvVars() : []),
+    'GITHUB_TOKEN',
+    // Without a targets file, the single target comes from the environment
+    ...(process.env.TARGETS_FILE ? [] : ['GITHUB_OWNER', 'GITHUB_REPO', 'TARGET_FILE_PATH', 'BOT_BRANCH']),
+  ];
+
+  const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+  if (missingVars.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+  }
+}
+
+/**
+ * Environment variables the LLM provider needs for the claude merge strategy
+ * @returns {Array<string>}
+ */
+function llmEnvVars() {
+  if ((process.env.LLM_PROVIDER || 'anthropic') === 'anthropic') {
+    return process.env.LLM_API_KEY ? [] : ['ANTHROPIC_API_KEY'];
+  }
+  return ['LLM_MODEL'];
+}
+
+/**
+ * Find a configured sync target by ID
+ * @param {string} id
+ * @returns {object | undefined}
+ */
+function findSyncTarget(id) {
+  return loadSyncTargets().find(target => target.id === id);
+}
+
+/**
+ * Combine a queued submission for a target with a newer one for the same target
+ * (with that target's token blocks). Submissions for different base branches or
+ * test modes stay apart.
+ * @param {{css: string, target: string, testMode: boolean, baseBranch?: string}} queued
+ * @param {{css: string, target: string, testMode: boolean, baseBranch?: string}} incoming
+ * @returns {object | null} Input for the queued job, or null
+ */
+function coalesceSubmissions(queued, incoming) {
+  const target = findSyncTarget(incoming.target);
+  if (!target || queued.testMode !== incoming.testMode || queued.baseBranch !== incoming.baseBranch) {
+    return null;
+  }
+
+  return { ...incoming, css: coalesceTokenCSS(queued.css, incoming.css, ['@theme', ':root', ...target.themes]) };
+}
@@ -0,0 +1,165 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import fs from 'fs';
+
+// Example secrets that must never be accepted as real credentials
+const PLACEHOLDER_SECRETS = ['change-me', 'changeme', 'secret'];
+
+/**
+ * Load webhook client keys from the environment
+ *
+ * - WEBHOOK_CLIENTS: comma-separated "clientId:secret" pairs
+ * - WEBHOOK_CLIENTS_FILE: JSON file with [{"id": "...", "secret": "..."}]
+ * @returns {Array<{id: string, secret: string}>}
+ */
+export function loadWebhookClients() {
+  const clients = [];
+
+  if (process.env.WEBHOOK_CLIENTS) {
+    for (const entry of process.env.WEBHOOK_CLIENTS.split(',')) {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid WEBHOOK_CLIENTS entry (expected clientId:secret): ${entry.trim()}`);
+      }
+      clients.push({ id: entry.slice(0, separator).trim(), secret: entry.slice(separator + 1).trim() });
+    }
+  }
+
+  if (process.env.WEBHOOK_CLIENTS_FILE) {
+    const fileClients = JSON.parse(fs.readFileSync(process.env.WEBHOOK_CLIENTS_FILE, 'utf-8'));
+    for (const client of fileClients) {
+      if (!client.id || !client.secret) {
+        throw new Error(`Invalid client in ${process.env.WEBHOOK_CLIENTS_FILE}: every client needs an id and a secret`);
+      }
+      clients.push({ id: client.id, secret: client.secret });
+    }
+  }
+
+  for (const client of clients) {
+    if (!client.secret || PLACEHOLDER_SECRETS.includes(client.secret)) {
+      throw new Error(`Webhook client "${client.id}" has no real secret; generate one (e.g. openssl rand -hex 32)`);
+    }
+  }
+
+  return clients;
+}
+
+/**
+ * Create Express middleware that authenticates requests with per-client shared secrets
+ *
+ * A request is accepted when it carries either:
+ * - `Authorization: Bearer <secret>`, or
+ * - `X-Client-Id`, `X-Timestamp` (unix seconds) and `X-Signature: sha256=<hex>`, the
+ *   HMAC-SHA256 of `<timestamp>.<raw body>` with the client's secret
+ *
+ * Signed requests older than the tolerance, or seen before, are rejected to block
+ * replays. Missing or malformed credentials get a 401; wrong credentials get a 403.
+ * The authenticated client is available as `req.client`.
+ *
+ * The body parsers run between the header checks and the signature check, so the
+ * body of a request without valid credentials is never read: a bearer key is checked
+ * before parsing, and only requests from a known client with a fresh timestamp have
+ * their body read to verify the signature. The parsers must keep the raw body as
+ * `req.rawBody`.
+ * @param {Array<{id: string, secret: string}>} clients
+ * @param {object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Allowed clock skew for signed requests
+ * @param {Array<import('express').RequestHandler>} [options.parseBody] - Body parsers
+ * @returns {Array<import('express').RequestHandler>} Middleware to use in this order
+ */
+export function createWebhookAuth(clients, { toleranceSeconds = 300, parseBody = [] } = {}) {
+  const seenSignatures = new Map(); // signature -> expiry (ms)
+  const signedBy = new WeakMap(); // request -> client whose signature is still to verify
+
+  const reject = (res, status, error) => {
+    if (status === 401) {
+      res.header('WWW-Authenticate', 'Bearer');
+    }
+    return res.status(status).json({ success: false, error });
+  };
+
+  const checkCredentials = (req, res, next) => {
+    const authorization = req.get('Authorization');
+    const signature = req.get('X-Signature');
+
+    if (authorization) {
+      const match = authorization.match(/^Bearer\s+(.+)$/i);
+      if (!match) {
+        return reject(res, 401, 'Unsupported Authorization scheme: expected "Bearer <key>"');
+      }
+
+      const client = clients.find(c => safeEqual(c.secret, match[1].trim()));
+      if (!client) {
+        return reject(res, 403, 'Invalid API key');
+      }
+
+      req.client = { id: client.id };
+      return next();
+    }
+
+    if (signature) {
+      const clientId = req.get('X-Client-Id');
+      const timestamp = req.get('X-Timestamp');
+
+      if (!clientId || !timestamp) {
+        return reject(res, 401, 'Signed requests need X-Client-Id and X-Timestamp headers');
+      }
+      if (!/^\d+$/.test(timestamp)) {
+        return reject(res, 401, 'X-Timestamp must be a unix timestamp in seconds');
+      }
+      if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return reject(res, 401, `Request timestamp is more than ${toleranceSeconds} seconds away from server time`);
+      }
+
+      const client = clients.find(c => c.id === clientId);
+      if (!client) {
+        return reject(res, 403, `Unknown client: ${clientId}`);
+      }
+
+      signedBy.set(req, client);
+      return next();
+    }
+
+    return reject(res, 401, 'Missing credentials: send "Authorization: Bearer <key>" or an X-Signature header');
+  };
+
+  const checkSignature = (req, res, next) => {
+    const client = signedBy.get(req);
+    if (!client) {
+      return next();
+    }
+
+    const timestamp = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+    const body = req.rawBody ? req.rawBody.toString('utf-8') : '';
+    const expected = `sha256=${createHmac('sha256', client.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    if (!safeEqual(expected, signature)) {
+      return reject(res, 403, 'Invalid request signature');
+    }
+
+    const now = Date.now();
+    for (const [seen, expiry] of seenSignatures) {
+      if (expiry < now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) {
+      return reject(res, 403, 'Replayed request: this signature was already used');
+    }
+    seenSignatures.set(signature, now + toleranceSeconds * 2 * 1000);
+
+    req.client = { id: client.id };
+    return next();
+  };
+
+  return [checkCredentials, ...parseBody, checkSignature];
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
@@ -1,16 +1,19 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { LLMClient } from './llm-client.js';
+import { TOKEN_BLOCK_SELECTORS, extractTokenBlocks, getPosition } from './css-parser.js';
+import { mergeTokenSectionDeterministic } from './token-merger.js';
 
 /**
- * Merge two CSS files using Claude AI
+ * Merge two CSS files using the LLM
+ *
+ * Legacy full-file merge: here the "UPDATE ONLY IF EXISTS" rule is left to the
+ * prompt. The token section merge enforces it in code (see extractComponentTokens).
  * @param {string} oldCSS - Current CSS from GitHub repo
  * @param {string} newCSS - New CSS from Figma
- * @param {string} apiKey - Anthropic API key
+ * @param {LLMClient | string} llm - LLM client (or an Anthropic API key)
  * @returns {Promise<string>} - Merged CSS
  */
-export async function mergeCSS(oldCSS, newCSS, apiKey) {
-  const anthropic = new Anthropic({
-    apiKey: apiKey,
-  });
+export async function mergeCSS(oldCSS, newCSS, llm) {
+  const client = toLLMClient(llm);
 
   const prompt = `You are updating a design system CSS file.
 
@@ -52,29 +55,17 @@ Task: Intelligently merge the NEW tokens into the OLD CSS structure:
 
 Output only the final merged CSS file with no explanations.`;
 
-  console.log('Calling Claude API to merge CSS files...');
+  console.log(`Calling ${client.model} to merge CSS files...`);
 
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 8000,
-    messages: [
-      {
-        role: 'user',
-        content: prompt,
-      },
-    ],
-  });
+  const mergedCSS = await client.complete(prompt, 'the CSS file');
 
-  // Extract text from the response
-  const mergedCSS = message.content[0].text;
-
-  console.log(`✓ Claude merged CSS (${mergedCSS.length} characters)`);
+  console.log(`✓ LLM merged CSS (${mergedCSS.length} characters)`);
 
   return mergedCSS;
 }
 
 /**
- * Clean markdown formatting from Claude's response
+ * Clean markdown formatting from the LLM's response
  * @param {string} text - Raw response text
  * @returns {string} Clean CSS content
  */
@@ -93,75 +84,240 @@ function cleanMarkdownFormatting(text) {
 }
 
 /**
- * Update the design token section (@theme, :root, .dark-theme) using Claude AI
+ * Largest piece of the old token section (in characters) sent to the LLM in one
+ * request. The reply repeats the piece with the new tokens merged in, so it has to
+ * fit comfortably in the default 8000 output tokens.
+ */
+const MAX_CHUNK_SIZE = 12000;
+
+/**
+ * Update the design token section (@theme, :root and the theme blocks) using the LLM
+ *
+ * The section is merged in chunks so that the output never outgrows the model's
+ * output limit: one chunk per block, and large blocks are split further at their
+ * comments (sub-section headers like `/* Blue *\/`). Each chunk only gets the new
+ * tokens that belong to it, chunks without changes are not sent at all, and the
+ * merged chunks are spliced back into the old section. Blocks that only exist in
+ * the new section need no merging and are inserted as they are.
  * @param {string} oldTokenSection - Current token section from GitHub
  * @param {string} newTokenSection - New token section from Figma
- * @param {string} apiKey - Anthropic API key
+ * @param {LLMClient | string} llm - LLM client (or an Anthropic API key)
+ * @param {Array<string>} [selectors] - Token blocks of the section
+ * @param {object} [options]
+ * @param {number} [options.maxChunkSize] - Largest chunk of the old section per request, in characters
+ * @param {number} [options.concurrency=4] - Chunks merged in parallel
  * @returns {Promise<string>} - Updated token section (clean CSS, no markdown)
+ * @throws {Error} When a reply is cut off at the output limit
+ */
+export async function updateTokenSection(
+  oldTokenSection,
+  newTokenSection,
+  llm,
+  selectors = TOKEN_BLOCK_SELECTORS,
+  { maxChunkSize = MAX_CHUNK_SIZE, concurrency = 4 } = {}
+) {
+  const client = toLLMClient(llm);
+
+  const oldBlocks = extractTokenBlocks(oldTokenSection, selectors);
+  const newBlocks = extractTokenBlocks(newTokenSection, selectors);
+  const chunks = assignNewTokens(splitIntoChunks(oldTokenSection, oldBlocks, maxChunkSize), newBlocks);
+  const changed = chunks.filter(chunk => chunk.newTokens.length > 0);
+
+  console.log(`Calling ${client.model} to update token section (${selectors.join(', ')}): ${changed.length} of ${chunks.length} chunks changed...`);
+
+  const edits = [];
+  for (let i = 0; i < changed.length; i += concurrency) {
+    const batch = changed.slice(i, i + concurrency);
+    edits.push(...await Promise.all(batch.map(async chunk => ({
+      start: chunk.start,
+      end: chunk.end,
+      text: await mergeChunk(client, oldTokenSection, chunk),
+    }))));
+  }
+
+  let updatedTokenSection = edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((css, edit) => css.slice(0, edit.start) + edit.text + css.slice(edit.end), oldTokenSection);
+
+  // Whole blocks Figma added (e.g. a new theme) go next to their neighbours as they are
+  const addedBlocks = newBlocks.filter(block => !oldBlocks.some(oldBlock => oldBlock.selector === block.selector));
+  if (addedBlocks.length > 0) {
+    const addedSection = addedBlocks.map(block => newTokenSection.slice(block.start, block.end)).join('\n\n');
+    updatedTokenSection = mergeTokenSectionDeterministic(updatedTokenSection, addedSection, selectors).content;
+  }
+
+  console.log(`✓ LLM updated token section (${updatedTokenSection.length} characters)`);
+
+  return updatedTokenSection;
+}
+
+/**
+ * Split the bodies of the token blocks into chunks of at most `maxChunkSize`
+ * characters, cutting only in front of comment lines. A block without comments
+ * stays in one piece, whatever its size.
+ * @param {string} css - Old token section
+ * @param {Array<object>} blocks - Blocks from extractTokenBlocks
+ * @param {number} maxChunkSize
+ * @returns {Array<{selector: string, start: number, end: number, values: Map<string, string>}>} Offsets of each chunk in `css`, and the tokens it declares
+ */
+function splitIntoChunks(css, blocks, maxChunkSize) {
+  const chunks = [];
+
+  for (const block of blocks) {
+    const bodyStart = block.openBrace + 1;
+    const bodyEnd = block.closeBrace;
+    const cuts = block.comments
+      .map(comment => css.lastIndexOf('\n', comment.start) + 1)
+      .filter(offset => offset > bodyStart && offset < bodyEnd);
+
+    const ranges = [];
+    let start = bodyStart;
+    let previousCut = bodyStart;
+    for (const cut of [...cuts, bodyEnd]) {
+      if (cut - start > maxChunkSize && previousCut > start) {
+        ranges.push([start, previousCut]);
+        start = previousCut;
+      }
+      previousCut = cut;
+    }
+    ranges.push([start, bodyEnd]);
+
+    for (const [rangeStart, rangeEnd] of ranges) {
+      chunks.push({
+        selector: block.selector,
+        start: rangeStart,
+        end: rangeEnd,
+        values: new Map(
+          block.declarations
+            .filter(declaration => declaration.start >= rangeStart && declaration.end <= rangeEnd)
+            .map(declaration => [declaration.name, declaration.value])
+        ),
+      });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Give each chunk the new tokens it has to merge: tokens it declares with another
+ * value, and added tokens whose closest neighbour in the new section it declares
+ * (else the last chunk of their block). Chunks without new tokens need no request.
+ * @param {Array<{selector: string, values: Map<string, string>}>} chunks
+ * @param {Array<object>} newBlocks - Blocks from extractTokenBlocks of the new section
+ * @returns {Array<object>} The chunks, each with its `newTokens`
  */
-export async function updateTokenSection(oldTokenSection, newTokenSection, apiKey) {
-  const anthropic = new Anthropic({
-    apiKey: apiKey,
-  });
+function assignNewTokens(chunks, newBlocks) {
+  const assigned = chunks.map(chunk => ({ ...chunk, newTokens: [] }));
+
+  for (const selector of new Set(newBlocks.map(block => block.selector))) {
+    const selectorChunks = assigned.filter(chunk => chunk.selector === selector);
+    if (selectorChunks.length === 0) {
+      continue;
+    }
+
+    const declarations = newBlocks.filter(block => block.selector === selector).flatMap(block => block.declarations);
+    const holderOf = name => selectorChunks.filter(chunk => chunk.values.has(name)).at(-1);
+
+    declarations.forEach((declaration, index) => {
+      const token = { name: declaration.name, value: declaration.value };
 
-  const prompt = `You are updating the design token section of a CSS file. This section contains three main blocks:
-1. @theme - Primitive color tokens
-2. :root - Light mode semantic tokens
-3. .dark-theme - Dark mode semantic tokens
+      const holders = selectorChunks.filter(chunk => chunk.values.has(declaration.name));
+      if (holders.length > 0) {
+        for (const chunk of holders.filter(holder => holder.values.get(declaration.name) !== declaration.value)) {
+          chunk.newTokens.push(token);
+        }
+        return;
+      }
 
-CURRENT TOKEN SECTION:
-${oldTokenSection}
+      const previous = declarations.slice(0, index).reverse().find(candidate => holderOf(candidate.name));
+      const next = declarations.slice(index + 1).find(candidate => holderOf(candidate.name));
+      const neighbour = previous || next;
+      (neighbour ? holderOf(neighbour.name) : selectorChunks.at(-1)).newTokens.push(token);
+    });
+  }
+
+  return assigned;
+}
+
+/**
+ * Merge the new tokens of one chunk into it with the LLM
+ * @param {LLMClient} client
+ * @param {string} css - Old token section
+ * @param {{selector: string, start: number, end: number, newTokens: Array<{name: string, value: string}>}} chunk
+ * @returns {Promise<string>} The merged chunk, with the original surrounding whitespace
+ */
+async function mergeChunk(client, css, chunk) {
+  const text = css.slice(chunk.start, chunk.end);
+  const leading = text.match(/^\s*/)[0];
+  const trailing = leading === text ? '' : text.match(/\s*$/)[0];
+  const content = text.slice(leading.length, text.length - trailing.length);
+
+  const prompt = `You are updating part of the design token section of a CSS file: the content of the ${chunk.selector} block (${describeTokenBlock(chunk.selector)}), or one sub-section of it.
+
+CURRENT CONTENT:
+${content}
 
 NEW TOKENS TO MERGE:
-${newTokenSection}
+${chunk.newTokens.map(token => `${token.name}: ${token.value};`).join('\n')}
 
 RULES:
 1. Update existing token values to match new tokens EXACTLY as they appear in NEW
-2. Add new tokens in the appropriate blocks (maintain structure and ordering)
-3. Preserve all comments, section headers, and formatting from OLD
-4. Keep the block structures intact (@theme { }, :root { }, .dark-theme { })
-5. If a token exists in both OLD and NEW, use the NEW value EXACTLY (including var() syntax)
-6. If a token is only in NEW, add it to the appropriate block
-7. If a token is only in OLD, keep it unchanged
-8. DO NOT add fallbacks to var() references - keep them exactly as provided
-9. DO NOT remove fallbacks from var() references - keep them exactly as provided
-10. Preserve the exact var() syntax from NEW tokens (with or without fallbacks)
+2. Add tokens that are only in NEW next to the tokens they belong with (maintain structure and ordering)
+3. Preserve all comments, section headers, and formatting from CURRENT
+4. If a token is only in CURRENT, keep it unchanged
+5. DO NOT add fallbacks to var() references - keep them exactly as provided
+6. DO NOT remove fallbacks from var() references - keep them exactly as provided
+7. Preserve the exact var() syntax from NEW tokens (with or without fallbacks)
 
 OUTPUT REQUIREMENTS:
-- Output ONLY the updated token section content
+- Output ONLY the updated content, without the ${chunk.selector} selector or its braces
 - DO NOT wrap output in markdown code blocks (no \`\`\`css)
 - DO NOT add explanations or comments outside the CSS
-- Start with @theme and end with the closing brace of .dark-theme
 - Match the exact formatting and syntax from the inputs
 
-Output the updated token section:`;
-
-  console.log('Calling Claude API to update token section (@theme, :root, .dark-theme)...');
+Output the updated content:`;
 
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 8000,
-    messages: [
-      {
-        role: 'user',
-        content: prompt,
-      },
-    ],
-  });
+  const lines = `${getPosition(css, chunk.start).line}-${getPosition(css, chunk.end).line}`;
+  const merged = cleanMarkdownFormatting(await client.complete(prompt, `${chunk.selector} (lines ${lines} of the token section)`));
 
-  // Extract text and clean any markdown formatting
-  let updatedTokenSection = message.content[0].text;
-  updatedTokenSection = cleanMarkdownFormatting(updatedTokenSection);
+  return `${leading}${merged}${trailing}`;
+}
 
-  console.log(`✓ Claude updated token section (${updatedTokenSection.length} characters)`);
+/**
+ * Accept an LLM client, or an Anthropic API key as callers passed before
+ * @param {LLMClient | string} llm
+ * @returns {LLMClient}
+ */
+function toLLMClient(llm) {
+  return typeof llm?.complete === 'function' ? llm : new LLMClient({ apiKey: llm });
+}
 
-  return updatedTokenSection;
+/**
+ * Describe a token block for the merge prompt
+ * @param {string} selector
+ * @returns {string}
+ */
+function describeTokenBlock(selector) {
+  if (selector === '@theme') {
+    return 'Primitive color tokens';
+  }
+  if (selector === ':root') {
+    return 'Light mode semantic tokens';
+  }
+  if (selector === '.dark-theme') {
+    return 'Dark mode semantic tokens';
+  }
+  if (selector.startsWith('@media')) {
+    return `Semantic tokens for the media query (a :root rule nested inside ${selector} { })`;
+  }
+  return `Semantic tokens for the ${selector} theme`;
 }
 
 /**
  * @deprecated Use updateTokenSection instead
  * Kept for backward compatibility
  */
-export async function updateThemeBlock(oldThemeBlock, newThemeTokens, apiKey) {
-  return updateTokenSection(oldThemeBlock, newThemeTokens, apiKey);
+export async function updateThemeBlock(oldThemeBlock, newThemeTokens, llm) {
+  return updateTokenSection(oldThemeBlock, newThemeTokens, llm);
 }
@@ -0,0 +1,338 @@
+import { TOKEN_BLOCK_SELECTORS, extractTokenValues } from './css-parser.js';
+
+/**
+ * Minimum contrast ratios from WCAG 2.x, for normal and large text
+ */
+const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+const NAMED_COLORS = {
+  black: { r: 0, g: 0, b: 0, alpha: 1 },
+  white: { r: 1, g: 1, b: 1, alpha: 1 },
+  transparent: { r: 0, g: 0, b: 0, alpha: 0 },
+};
+
+/**
+ * Parse contrast pairs from a string like "--text-primary:--bg-base,--text-muted:--bg-base"
+ * @param {string} value
+ * @returns {Array<{foreground: string, background: string}>}
+ */
+export function parseContrastPairs(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [foreground, background, ...rest] = entry.split(':').map(part => part.trim());
+      if (!foreground?.startsWith('--') || !background?.startsWith('--') || rest.length > 0) {
+        throw new Error(`Invalid contrast pair (expected --foreground:--background): ${entry}`);
+      }
+      return { foreground, background };
+    });
+}
+
+/**
+ * Check the contrast of foreground/background token pairs in every theme of a token
+ * section. Tokens are resolved through their var() chains the way the cascade does
+ * (theme block, then :root, then @theme).
+ *
+ * A pair that cannot be checked (an undefined token, a color like `color-mix()`)
+ * gets an `error` and does not pass: a broken theme must not slip through.
+ * @param {string} sectionContent - Token section
+ * @param {Array<{foreground: string, background: string, large?: boolean}>} pairs
+ *   Token pairs; `large` applies the large-text thresholds
+ * @param {object} [options]
+ * @param {'AA' | 'AAA'} [options.level='AA'] - Level each pair must reach
+ * @param {Array<string>} [options.selectors] - Token block selectors
+ * @returns {Array<{theme: string, foreground: string, background: string, foregroundValue?: string, backgroundValue?: string, ratio?: number, aa?: boolean, aaa?: boolean, passes: boolean, error?: string}>}
+ */
+export function auditContrast(sectionContent, pairs, { level = 'AA', selectors = TOKEN_BLOCK_SELECTORS } = {}) {
+  if (!WCAG_THRESHOLDS[level]) {
+    throw new Error(`Unknown WCAG level: ${level} (expected AA or AAA)`);
+  }
+
+  const blocks = extractTokenValues(sectionContent, selectors);
+  const themes = [...blocks.keys()].filter(selector => selector !== '@theme');
+  const results = [];
+
+  for (const theme of themes) {
+    for (const pair of pairs) {
+      const result = { theme, foreground: pair.foreground, background: pair.background };
+
+      try {
+        result.foregroundValue = resolveToken(blocks, theme, pair.foreground);
+        result.backgroundValue = resolveToken(blocks, theme, pair.background);
+        const foreground = parseColor(result.foregroundValue);
+        const background = parseColor(result.backgroundValue);
+        if (!foreground || !background) {
+          const value = foreground ? result.backgroundValue : result.foregroundValue;
+          throw new Error(`unsupported color value "${value}"`);
+        }
+
+        // Translucent colors: background over white, foreground over the background
+        const opaqueBackground = composite(background, NAMED_COLORS.white);
+        const ratio = contrastRatio(composite(foreground, opaqueBackground), opaqueBackground);
+        const size = pair.large ? 'large' : 'normal';
+
+        result.ratio = Math.floor(ratio * 100) / 100;
+        result.aa = ratio >= WCAG_THRESHOLDS.AA[size];
+        result.aaa = ratio >= WCAG_THRESHOLDS.AAA[size];
+        result.passes = ratio >= WCAG_THRESHOLDS[level][size];
+      } catch (error) {
+        result.error = error.message;
+        result.passes = false;
+      }
+
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Render contrast results as a Markdown table, for PR bodies
+ * @param {Array<object>} results - Result of auditContrast
+ * @param {'AA' | 'AAA'} [level='AA']
+ * @returns {string}
+ */
+export function renderContrastMarkdown(results, level = 'AA') {
+  if (results.length === 0) {
+    return '_No contrast pairs configured._';
+  }
+
+  const failing = results.filter(result => !result.passes && !result.error).length;
+  const unchecked = results.filter(result => result.error).length;
+  const mark = passed => (passed ? '✅' : '❌');
+  const rows = results.map(result => {
+    const pair = `\`${result.foreground}\` on \`${result.background}\``;
+    if (result.error) {
+      return `| ${pair} | \`${result.theme}\` | ⚠️ ${result.error} | | |`;
+    }
+    return `| ${pair} | \`${result.theme}\` | ${result.ratio.toFixed(2)}:1 | ${mark(result.aa)} | ${mark(result.aaa)} |`;
+  });
+
+  const summary = [
+    failing > 0 && `${failing} pair(s) below ${level}`,
+    unchecked > 0 && `${unchecked} pair(s) could not be checked`,
+  ].filter(Boolean);
+
+  return [
+    summary.length > 0 ? `**${summary.join(', ')}**` : `**All pairs meet ${level}**`,
+    '',
+    '| Pair | Theme | Ratio | AA | AAA |',
+    '| --- | --- | --- | --- | --- |',
+    ...rows,
+  ].join('\n');
+}
+
+/**
+ * Parse a CSS color in hex, rgb(), hsl() or oklch() notation
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number, alpha: number} | null} sRGB channels from 0 to 1
+ */
+export function parseColor(value) {
+  const color = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[color]) {
+    return NAMED_COLORS[color];
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+    const [r, g, b, alpha = 255] = digits.map(pair => parseInt(pair, 16));
+    return { r: r / 255, g: g / 255, b: b / 255, alpha: alpha / 255 };
+  }
+
+  const fn = color.match(/^(rgba?|hsla?|oklch)\(\s*([^)]*)\)$/);
+  if (!fn) {
+    return null;
+  }
+
+  // Both "1 2 3 / 0.5" and "1, 2, 3, 0.5" syntaxes
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) {
+    return null;
+  }
+  const alpha = parts[3] === undefined ? 1 : number(parts[3], 1);
+
+  switch (fn[1]) {
+    case 'rgb':
+    case 'rgba': {
+      const [r, g, b] = parts.slice(0, 3).map(part => number(part, 255));
+      if ([r, g, b, alpha].some(channel => channel === null)) return null;
+      return { r: r / 255, g: g / 255, b: b / 255, alpha };
+    }
+    case 'hsl':
+    case 'hsla': {
+      const h = number(parts[0].replace(/deg$/, ''), 360);
+      const s = number(parts[1], 100);
+      const l = number(parts[2], 100);
+      if ([h, s, l, alpha].some(channel => channel === null)) return null;
+      return { ...hslToRgb(h, s / 100, l / 100), alpha };
+    }
+    case 'oklch': {
+      const l = number(parts[0], 1);
+      const c = number(parts[1], 0.4);
+      const h = number(parts[2].replace(/deg$/, ''), 360);
+      if ([l, c, h, alpha].some(channel => channel === null)) return null;
+      return { ...oklchToRgb(l, c, h), alpha };
+    }
+  }
+  return null;
+}
+
+/**
+ * WCAG contrast ratio between two opaque colors
+ * @param {{r: number, g: number, b: number}} a
+ * @param {{r: number, g: number, b: number}} b
+ * @returns {number} From 1 to 21
+ */
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Resolve a token to its final value in a theme, substituting var() references
+ * @param {Map<string, Map<string, string>>} blocks
+ * @param {string} theme - Theme block selector
+ * @param {string} name - Token name
+ * @param {Array<string>} [seen] - Tokens being resolved (cycle detection)
+ * @returns {string}
+ */
+function resolveToken(blocks, theme, name, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(`alias cycle ${[...seen, name].join(' → ')}`);
+  }
+
+  const scope = [theme, ':root', '@theme'].find(selector => blocks.get(selector)?.has(name));
+  if (!scope) {
+    throw new Error(`${name} is not defined`);
+  }
+  return substituteVars(blocks, theme, blocks.get(scope).get(name), [...seen, name]);
+}
+
+/**
+ * Replace every var() in a value with the value it resolves to
+ * @param {Map<string, Map<string, string>>} blocks
+ * @param {string} theme
+ * @param {string} value
+ * @param {Array<string>} seen
+ * @returns {string}
+ */
+function substituteVars(blocks, theme, value, seen) {
+  const start = value.indexOf('var(');
+  if (start === -1) {
+    return value.trim();
+  }
+
+  // Find the matching closing parenthesis (fallbacks can contain parentheses)
+  let depth = 0;
+  let end = start + 3;
+  for (; end < value.length; end++) {
+    if (value[end] === '(') depth++;
+    if (value[end] === ')' && --depth === 0) break;
+  }
+
+  const inner = value.slice(start + 4, end);
+  const comma = inner.indexOf(',');
+  const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+  const fallback = comma === -1 ? null : inner.slice(comma + 1);
+
+  let replacement;
+  try {
+    replacement = resolveToken(blocks, theme, name, seen);
+  } catch (error) {
+    if (fallback === null || error.message.startsWith('alias cycle')) {
+      throw error;
+    }
+    replacement = substituteVars(blocks, theme, fallback, seen);
+  }
+
+  return substituteVars(blocks, theme, value.slice(0, start) + replacement + value.slice(end + 1), seen);
+}
+
+/**
+ * WCAG relative luminance of an sRGB color
+ * @param {{r: number, g: number, b: number}} color
+ * @returns {number}
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = channel => (channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * Paint a (possibly translucent) color over an opaque one
+ * @param {{r: number, g: number, b: number, alpha: number}} top
+ * @param {{r: number, g: number, b: number}} bottom
+ * @returns {{r: number, g: number, b: number, alpha: number}}
+ */
+function composite(top, bottom) {
+  const mix = channel => top[channel] * top.alpha + bottom[channel] * (1 - top.alpha);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), alpha: 1 };
+}
+
+/**
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation from 0 to 1
+ * @param {number} l - Lightness from 0 to 1
+ * @returns {{r: number, g: number, b: number}}
+ */
+function hslToRgb(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return { r: f(0), g: f(8), b: f(4) };
+}
+
+/**
+ * Convert OKLCH to gamma-encoded sRGB, clipping colors outside the sRGB gamut
+ * @param {number} l - Lightness from 0 to 1
+ * @param {number} c - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {{r: number, g: number, b: number}}
+ */
+function oklchToRgb(l, c, h) {
+  const a = c * Math.cos((h * Math.PI) / 180);
+  const b = c * Math.sin((h * Math.PI) / 180);
+
+  const lms = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b,
+  ].map(value => value ** 3);
+
+  const linear = [
+    4.0767416621 * lms[0] - 3.3077115913 * lms[1] + 0.2309699292 * lms[2],
+    -1.2684380046 * lms[0] + 2.6097574011 * lms[1] - 0.3413193965 * lms[2],
+    -0.0041960863 * lms[0] - 0.7034186147 * lms[1] + 1.707614701 * lms[2],
+  ];
+
+  const encode = value => {
+    const clipped = Math.min(1, Math.max(0, value));
+    return clipped <= 0.0031308 ? clipped * 12.92 : 1.055 * clipped ** (1 / 2.4) - 0.055;
+  };
+  const [red, green, blue] = linear.map(encode);
+  return { r: red, g: green, b: blue };
+}
+
+/**
+ * Parse a color channel: a plain number, or a percentage of `percentOf`
+ * @param {string} text
+ * @param {number} percentOf - Value that 100% stands for
+ * @returns {number | null}
+ */
+function number(text, percentOf) {
+  const match = text.match(/^(-?(?:\d+\.?\d*|\.\d+))(%?)$/);
+  if (!match) {
+    return null;
+  }
+  return match[2] ? (parseFloat(match[1]) / 100) * percentOf : parseFloat(match[1]);
+}
@@ -1,71 +1,400 @@
 /**
  * CSS Parser for extracting and manipulating @theme blocks
+ *
+ * The parser builds a small AST of rules, at-rules, declarations and comments.
+ * Every node keeps its source offsets and the raw text around it, so printing an
+ * unmodified tree reproduces the original CSS exactly.
  */
 
 /**
- * Extract @theme blocks from CSS content with line numbers
- * @param {string} cssContent - The full CSS content
- * @returns {Array<{type: string, startLine: number, endLine: number, content: string}>}
+ * Selectors of the blocks that make up the design token section by default. More
+ * theme blocks (e.g. `.high-contrast-theme`, `[data-theme="brand"]` or
+ * `@media (prefers-color-scheme: dark)`) can be configured per target.
  */
-export function extractThemeBlocks(cssContent) {
-  const lines = cssContent.split('\n');
-  const blocks = [];
+export const TOKEN_BLOCK_SELECTORS = ['@theme', ':root', '.dark-theme'];
 
-  let inBlock = false;
-  let blockType = null;
-  let blockStartLine = -1;
-  let blockContent = [];
-  let braceDepth = 0;
+/**
+ * Error thrown when CSS cannot be parsed
+ */
+export class CssSyntaxError extends Error {
+  /**
+   * @param {string} reason - What went wrong
+   * @param {string} css - The CSS being parsed
+   * @param {number} offset - Offset of the problem in the CSS
+   */
+  constructor(reason, css, offset) {
+    const { line, column } = getPosition(css, offset);
+    super(`${reason} at line ${line}, column ${column}`);
+    this.name = 'CssSyntaxError';
+    this.reason = reason;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Split CSS into tokens. Comments and strings are single tokens, so braces and
+ * semicolons inside them are never mistaken for structure.
+ * @param {string} css
+ * @returns {Array<{type: string, start: number, end: number}>}
+ */
+export function tokenize(css) {
+  const tokens = [];
+  const punctuation = {
+    '{': 'open-curly',
+    '}': 'close-curly',
+    ';': 'semicolon',
+    ':': 'colon',
+    '(': 'open-paren',
+    ')': 'close-paren',
+  };
+  let i = 0;
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNumber = i + 1; // Lines are 1-indexed
-
-    // Check for @theme declaration
-    if (!inBlock && line.trim().startsWith('@theme')) {
-      inBlock = true;
-      blockStartLine = lineNumber;
-      blockContent = [line];
-      braceDepth = 0;
-
-      // Determine block type (theme or theme inline)
-      if (line.includes('inline')) {
-        blockType = 'theme inline';
-      } else {
-        blockType = 'theme';
+  while (i < css.length) {
+    const char = css[i];
+    const start = i;
+
+    if (char === '/' && css[i + 1] === '*') {
+      const commentEnd = css.indexOf('*/', i + 2);
+      if (commentEnd === -1) {
+        throw new CssSyntaxError('Unclosed comment', css, start);
+      }
+      i = commentEnd + 2;
+      tokens.push({ type: 'comment', start, end: i });
+    } else if (char === '"' || char === "'") {
+      i++;
+      while (i < css.length && css[i] !== char) {
+        if (css[i] === '\n') {
+          throw new CssSyntaxError('Unclosed string', css, start);
+        }
+        i += css[i] === '\\' ? 2 : 1;
+      }
+      if (i >= css.length) {
+        throw new CssSyntaxError('Unclosed string', css, start);
       }
+      i++;
+      tokens.push({ type: 'string', start, end: i });
+    } else if (/\s/.test(char)) {
+      while (i < css.length && /\s/.test(css[i])) i++;
+      tokens.push({ type: 'space', start, end: i });
+    } else if (punctuation[char]) {
+      i++;
+      tokens.push({ type: punctuation[char], start, end: i });
+    } else {
+      while (
+        i < css.length &&
+        !/[\s{};:()"']/.test(css[i]) &&
+        !(css[i] === '/' && css[i + 1] === '*')
+      ) {
+        i += css[i] === '\\' ? 2 : 1;
+      }
+      tokens.push({ type: 'word', start, end: Math.min(i, css.length) });
+    }
+  }
+
+  return tokens;
+}
 
-      // Count braces in the same line
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
+/**
+ * Parse CSS into a tree of rules, at-rules, declarations and comments
+ *
+ * Node shapes (all nodes have `start`/`end` offsets and `raws.before`, the text
+ * between the previous node and this one):
+ * - stylesheet: { children, raws.after }
+ * - rule: { selector, openBrace, closeBrace, children, raws.between, raws.after }
+ * - atrule: { name, params, openBrace?, closeBrace?, children?, raws.afterName, raws.between?, raws.after?, raws.afterValue?, raws.semicolon? }
+ * - declaration: { prop, value, valueStart, valueEnd, raws.between, raws.afterValue, raws.semicolon }
+ * - comment: { text }
+ * @param {string} css
+ * @returns {object} Stylesheet node
+ * @throws {CssSyntaxError} On unbalanced braces or unterminated comments/strings
+ */
+export function parseCSS(css) {
+  const parser = { css, tokens: tokenize(css), pos: 0 };
+  const { children, after } = parseNodeList(parser, false);
+
+  return {
+    type: 'stylesheet',
+    start: 0,
+    end: css.length,
+    children,
+    raws: { after },
+  };
+}
+
+/**
+ * Parse nodes until the end of input or the closing brace of the current block
+ * @param {object} parser
+ * @param {boolean} nested - Whether we are inside a block
+ * @returns {{children: Array<object>, after: string}}
+ */
+function parseNodeList(parser, nested) {
+  const { css, tokens } = parser;
+  const children = [];
+
+  while (true) {
+    // Whitespace and stray semicolons belong to the next node
+    const beforeStart = parser.pos < tokens.length ? tokens[parser.pos].start : css.length;
+    while (
+      parser.pos < tokens.length &&
+      (tokens[parser.pos].type === 'space' || tokens[parser.pos].type === 'semicolon')
+    ) {
+      parser.pos++;
+    }
+    const beforeEnd = parser.pos < tokens.length ? tokens[parser.pos].start : css.length;
+    const before = css.slice(beforeStart, beforeEnd);
+
+    if (parser.pos >= tokens.length) {
+      if (nested) {
+        throw new CssSyntaxError('Unclosed block', css, css.length);
+      }
+      return { children, after: before };
+    }
 
+    const token = tokens[parser.pos];
+
+    if (token.type === 'close-curly') {
+      if (!nested) {
+        throw new CssSyntaxError('Unexpected }', css, token.start);
+      }
+      return { children, after: before };
+    }
+
+    if (token.type === 'comment') {
+      parser.pos++;
+      children.push({
+        type: 'comment',
+        start: token.start,
+        end: token.end,
+        text: css.slice(token.start, token.end),
+        raws: { before },
+      });
       continue;
     }
 
-    if (inBlock) {
-      blockContent.push(line);
-
-      // Count braces
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
-
-      // Check if block is complete
-      if (braceDepth === 0 && blockContent.length > 1) {
-        blocks.push({
-          type: blockType,
-          startLine: blockStartLine,
-          endLine: lineNumber,
-          content: blockContent.join('\n')
-        });
-
-        inBlock = false;
-        blockType = null;
-        blockContent = [];
+    children.push(parseStatement(parser, before));
+  }
+}
+
+/**
+ * Parse one rule, at-rule or declaration starting at the current token
+ * @param {object} parser
+ * @param {string} before - Raw text preceding the statement
+ * @returns {object}
+ */
+function parseStatement(parser, before) {
+  const { css, tokens } = parser;
+  const first = tokens[parser.pos];
+  const start = first.start;
+  let parenDepth = 0;
+  let braceDepth = 0;
+  let colon = null;
+  let isCustomProperty = false;
+  let lastSignificant = first;
+
+  while (parser.pos < tokens.length) {
+    const token = tokens[parser.pos];
+
+    if (token.type === 'open-paren') parenDepth++;
+    if (token.type === 'close-paren') parenDepth = Math.max(0, parenDepth - 1);
+
+    if (token.type === 'colon' && colon === null && parenDepth === 0) {
+      colon = token;
+      isCustomProperty = css.slice(start, token.start).trim().startsWith('--');
+    }
+
+    if (parenDepth === 0) {
+      // Custom property values may contain balanced braces
+      if (isCustomProperty && token.type === 'open-curly') {
+        braceDepth++;
+      } else if (isCustomProperty && token.type === 'close-curly' && braceDepth > 0) {
+        braceDepth--;
+      } else if (token.type === 'open-curly') {
+        return parseBlock(parser, before, start, Math.min(lastSignificant.end, token.start));
+      } else if (braceDepth === 0 && (token.type === 'semicolon' || token.type === 'close-curly')) {
+        break;
       }
     }
+
+    if (token.type !== 'space') {
+      lastSignificant = token;
+    }
+    parser.pos++;
   }
 
-  return blocks;
+  // Statement ended by ';', by the block's closing brace or by the end of input
+  const terminator = parser.pos < tokens.length ? tokens[parser.pos] : null;
+  const hasSemicolon = terminator !== null && terminator.type === 'semicolon';
+  const contentEnd = lastSignificant.end;
+  const afterValue = css.slice(contentEnd, terminator ? terminator.start : css.length);
+  if (hasSemicolon) {
+    parser.pos++;
+  }
+  const end = hasSemicolon ? terminator.end : contentEnd;
+
+  if (css[start] === '@') {
+    const { name, params, afterName } = splitAtRulePrelude(css.slice(start, contentEnd));
+    return {
+      type: 'atrule',
+      start,
+      end,
+      name,
+      params,
+      raws: { before, afterName, afterValue, semicolon: hasSemicolon },
+    };
+  }
+
+  if (colon === null) {
+    throw new CssSyntaxError(`Unknown word "${css.slice(start, contentEnd).trim()}"`, css, start);
+  }
+
+  const prop = css.slice(start, colon.start).trimEnd();
+  const rest = css.slice(colon.end, contentEnd);
+  const valueStart = colon.end + rest.search(/\S|$/);
+
+  return {
+    type: 'declaration',
+    start,
+    end,
+    prop,
+    value: css.slice(valueStart, contentEnd),
+    valueStart,
+    valueEnd: contentEnd,
+    raws: {
+      before,
+      between: css.slice(start + prop.length, valueStart),
+      afterValue,
+      semicolon: hasSemicolon,
+    },
+  };
+}
+
+/**
+ * Parse a rule or at-rule with a block, the current token being its opening brace
+ * @param {object} parser
+ * @param {string} before - Raw text preceding the statement
+ * @param {number} start - Offset where the prelude starts
+ * @param {number} preludeEnd - Offset where the prelude ends (excluding whitespace)
+ * @returns {object}
+ */
+function parseBlock(parser, before, start, preludeEnd) {
+  const { css, tokens } = parser;
+  const openBrace = tokens[parser.pos].start;
+  parser.pos++;
+
+  const { children, after } = parseNodeList(parser, true);
+  const closeBrace = tokens[parser.pos].start;
+  parser.pos++;
+
+  const prelude = css.slice(start, preludeEnd);
+  const node = {
+    start,
+    end: closeBrace + 1,
+    openBrace,
+    closeBrace,
+    children,
+    raws: { before, between: css.slice(preludeEnd, openBrace), after },
+  };
+
+  if (prelude.startsWith('@')) {
+    const { name, params, afterName } = splitAtRulePrelude(prelude);
+    return { type: 'atrule', ...node, name, params, raws: { ...node.raws, afterName } };
+  }
+  return { type: 'rule', ...node, selector: prelude };
+}
+
+/**
+ * Split an at-rule prelude into its name, params and the whitespace between them
+ * @param {string} prelude - e.g. "@media (prefers-color-scheme: dark)"
+ * @returns {{name: string, params: string, afterName: string}}
+ */
+function splitAtRulePrelude(prelude) {
+  const [, name, afterName, params] = prelude.match(/^@([^\s{;/(]*)(\s*)([\s\S]*)$/);
+  return { name, params, afterName };
+}
+
+/**
+ * Print a node back to CSS. An unmodified tree prints to the original text.
+ * @param {object} node - Any node returned by parseCSS
+ * @returns {string}
+ */
+export function printCSS(node) {
+  const printChildren = children => children.map(child => child.raws.before + printCSS(child)).join('');
+
+  switch (node.type) {
+    case 'stylesheet':
+      return printChildren(node.children) + node.raws.after;
+    case 'comment':
+      return node.text;
+    case 'rule':
+      return `${node.selector}${node.raws.between}{${printChildren(node.children)}${node.raws.after}}`;
+    case 'atrule': {
+      const prelude = `@${node.name}${node.raws.afterName}${node.params}`;
+      if (node.children) {
+        return `${prelude}${node.raws.between}{${printChildren(node.children)}${node.raws.after}}`;
+      }
+      return `${prelude}${node.raws.afterValue}${node.raws.semicolon ? ';' : ''}`;
+    }
+    case 'declaration':
+      return `${node.prop}${node.raws.between}${node.value}${node.raws.afterValue}${node.raws.semicolon ? ';' : ''}`;
+    default:
+      throw new Error(`Unknown CSS node type: ${node.type}`);
+  }
+}
+
+/**
+ * Get the normalized selector of a rule or at-rule: comments removed and whitespace
+ * collapsed, so selectors split across lines compare equal to their one-line form
+ * @param {object} node - Rule or at-rule node
+ * @returns {string} e.g. ":root", "@theme", "@theme inline"
+ */
+export function getNodeSelector(node) {
+  return normalizeSelector(node.type === 'atrule' ? `@${node.name} ${node.params}` : node.selector);
+}
+
+/**
+ * Normalize a selector the way getNodeSelector does, e.g. for configured selectors
+ * @param {string} selector
+ * @returns {string}
+ */
+export function normalizeSelector(selector) {
+  return selector.replace(/\/\*[\s\S]*?\*\//g, ' ').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the 1-indexed line and column of an offset
+ * @param {string} css
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+export function getPosition(css, offset) {
+  const preceding = css.slice(0, offset);
+  const line = preceding.split('\n').length;
+  return { line, column: offset - preceding.lastIndexOf('\n') };
+}
+
+/**
+ * Extract @theme blocks from CSS content with line numbers
+ * @param {string} cssContent - The full CSS content
+ * @returns {Array<{type: string, startLine: number, endLine: number, content: string}>}
+ */
+export function extractThemeBlocks(cssContent) {
+  const lines = cssContent.split('\n');
+  const ast = parseCSS(cssContent);
+
+  return ast.children
+    .filter(node => node.type === 'atrule' && node.name === 'theme' && node.children)
+    .map(node => {
+      const startLine = getPosition(cssContent, node.start).line;
+      const endLine = getPosition(cssContent, node.end - 1).line;
+      return {
+        type: /\binline\b/.test(node.params) ? 'theme inline' : 'theme',
+        startLine,
+        endLine,
+        content: lines.slice(startLine - 1, endLine).join('\n'),
+      };
+    });
 }
 
 /**
@@ -108,95 +437,135 @@ export function extractMainThemeBlock(cssContent) {
 }
 
 /**
- * Extract the design token section (@theme, :root, and .dark-theme blocks)
- * This finds the start of @theme and the end of .dark-theme to get the full range
+ * Extract the design token section (@theme, :root, .dark-theme and any other theme blocks)
+ * This finds the start of the first token block and the end of the last one to get the full range.
+ * Every top-level block matching one of the selectors is part of the section.
  * @param {string} cssContent - The full CSS content
- * @returns {{startLine: number, endLine: number, content: string} | null}
+ * @param {Array<string>} [selectors] - Token blocks that make up the section
+ * @param {object} [options]
+ * @param {Array<string>} [options.required] - Blocks that must be present (default: all selectors)
+ * @returns {{startLine: number, endLine: number, content: string, blocks: Array<{selector: string, startLine: number, endLine: number}>} | null}
  */
-export function extractDesignTokenSection(cssContent) {
+export function extractDesignTokenSection(cssContent, selectors = TOKEN_BLOCK_SELECTORS, { required = selectors } = {}) {
   const lines = cssContent.split('\n');
+  const ast = parseCSS(cssContent);
 
-  let themeStartLine = -1;
-  let rootStartLine = -1;
-  let darkThemeStartLine = -1;
-  let darkThemeEndLine = -1;
+  const blocks = ast.children
+    .filter(node => node.children && selectors.includes(getNodeSelector(node)))
+    .map(node => ({
+      selector: getNodeSelector(node),
+      startLine: getPosition(cssContent, node.start).line,
+      endLine: getPosition(cssContent, node.end - 1).line,
+    }));
 
-  let inBlock = false;
-  let braceDepth = 0;
-  let currentBlockType = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNumber = i + 1;
-    const trimmedLine = line.trim();
-
-    // Check for @theme declaration (first one only, not inline)
-    if (themeStartLine === -1 && trimmedLine.startsWith('@theme') && !trimmedLine.includes('inline')) {
-      themeStartLine = lineNumber;
-      inBlock = true;
-      currentBlockType = 'theme';
-      braceDepth = 0;
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
-      continue;
-    }
+  if (blocks.length === 0 || required.some(selector => !blocks.some(block => block.selector === selector))) {
+    return null;
+  }
+
+  const startLine = blocks[0].startLine;
+  const endLine = Math.max(...blocks.map(block => block.endLine));
+
+  // Extract the content from the first block's start line to the last block's end line
+  const sectionLines = lines.slice(startLine - 1, endLine);
+  const content = sectionLines.join('\n');
+
+  return {
+    startLine,
+    endLine,
+    content,
+    blocks,
+  };
+}
 
-    // Check for :root block
-    if (rootStartLine === -1 && trimmedLine.startsWith(':root')) {
-      rootStartLine = lineNumber;
-      inBlock = true;
-      currentBlockType = 'root';
-      braceDepth = 0;
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
+/**
+ * Keep only the given token blocks in a token section, dropping the others
+ * @param {string} sectionContent - Token section content
+ * @param {Array<string>} selectors - Token blocks to keep
+ * @param {Array<string>} [knownSelectors] - All token block selectors; other blocks are kept
+ * @returns {string}
+ */
+export function pickTokenBlocks(sectionContent, selectors, knownSelectors = TOKEN_BLOCK_SELECTORS) {
+  const ast = parseCSS(sectionContent);
+
+  ast.children = ast.children.filter(node => {
+    const selector = node.children ? getNodeSelector(node) : null;
+    return !knownSelectors.includes(selector) || selectors.includes(selector);
+  });
+
+  return printCSS(ast);
+}
+
+/**
+ * Extract the token blocks (@theme, :root, .dark-theme, ...) and their custom property
+ * declarations, with character offsets into the given content.
+ *
+ * Every top-level occurrence is returned, in document order, so a selector can have
+ * several blocks. For a media query theme (`@media (prefers-color-scheme: dark) { :root { ... } }`)
+ * the declarations and braces are those of the first rule inside it.
+ * @param {string} cssContent - CSS content (usually the design token section)
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {Array<{selector: string, start: number, end: number, openBrace: number, closeBrace: number, declarations: Array<{name: string, value: string, start: number, end: number, valueStart: number, valueEnd: number}>, comments: Array<{start: number, end: number}>}>}
+ */
+export function extractTokenBlocks(cssContent, selectors = TOKEN_BLOCK_SELECTORS) {
+  const ast = parseCSS(cssContent);
+  const blocks = [];
+
+  for (const node of ast.children) {
+    const selector = node.children ? getNodeSelector(node) : null;
+    if (!selectors.includes(selector)) {
       continue;
     }
 
-    // Check for .dark-theme block
-    if (trimmedLine.startsWith('.dark-theme')) {
-      darkThemeStartLine = lineNumber;
-      inBlock = true;
-      currentBlockType = 'dark-theme';
-      braceDepth = 0;
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
+    const body = node.type === 'atrule' && node.name === 'media'
+      ? node.children.find(child => child.type === 'rule')
+      : node;
+    if (!body) {
       continue;
     }
 
-    if (inBlock) {
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
-
-      // Check if block is complete
-      if (braceDepth === 0) {
-        if (currentBlockType === 'dark-theme') {
-          darkThemeEndLine = lineNumber;
-          break; // We found the end of .dark-theme, we're done
-        }
-        inBlock = false;
-        currentBlockType = null;
-      }
-    }
+    blocks.push({
+      selector,
+      start: node.start,
+      end: node.end,
+      openBrace: body.openBrace,
+      closeBrace: body.closeBrace,
+      declarations: body.children
+        .filter(child => child.type === 'declaration' && child.prop.startsWith('--'))
+        .map(child => ({
+          name: child.prop,
+          value: child.value,
+          start: child.start,
+          end: child.end,
+          valueStart: child.valueStart,
+          valueEnd: child.valueEnd,
+        })),
+      comments: body.children
+        .filter(child => child.type === 'comment')
+        .map(child => ({ start: child.start, end: child.end })),
+    });
   }
 
-  // Validate we found all three blocks
-  if (themeStartLine === -1 || darkThemeEndLine === -1) {
-    return null;
-  }
+  return blocks;
+}
 
-  // Extract the content from themeStartLine to darkThemeEndLine
-  const sectionLines = lines.slice(themeStartLine - 1, darkThemeEndLine);
-  const content = sectionLines.join('\n');
+/**
+ * Collect the token values of each block selector. When a selector has several
+ * blocks, later declarations win, as in the cascade.
+ * @param {string} cssContent - CSS content (usually the design token section)
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {Map<string, Map<string, string>>} Selector -> token name -> value, in document order
+ */
+export function extractTokenValues(cssContent, selectors = TOKEN_BLOCK_SELECTORS) {
+  const values = new Map();
 
-  return {
-    startLine: themeStartLine,
-    endLine: darkThemeEndLine,
-    content,
-    blocks: {
-      theme: themeStartLine,
-      root: rootStartLine,
-      darkTheme: darkThemeStartLine,
-      darkThemeEnd: darkThemeEndLine
+  for (const block of extractTokenBlocks(cssContent, selectors)) {
+    if (!values.has(block.selector)) {
+      values.set(block.selector, new Map());
     }
-  };
+    for (const declaration of block.declarations) {
+      values.get(block.selector).set(declaration.name, declaration.value);
+    }
+  }
+
+  return values;
 }
@@ -1,13 +1,67 @@
 import { Octokit } from '@octokit/rest';
+import { isScannableFile, scanTokenUsages } from './token-usage.js';
+
+// Blob contents by SHA, shared by every client in the process (a client only lives
+// for one job). Blobs are immutable, so entries never go stale; the least recently
+// used ones are dropped past the size limit.
+const BLOB_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+const blobCache = new Map(); // sha -> content, least recently used first
+let blobCacheBytes = 0;
 
 /**
  * GitHub client for managing design token updates
  */
 export class GitHubClient {
-  constructor(token, owner, repo) {
-    this.octokit = new Octokit({ auth: token });
+  /**
+   * @param {string} token - GitHub token
+   * @param {string} owner
+   * @param {string} repo
+   * @param {Octokit} [octokit] - Preconfigured Octokit instance (e.g. a mock in tests)
+   */
+  constructor(token, owner, repo, octokit = new Octokit({ auth: token })) {
+    this.octokit = octokit;
     this.owner = owner;
     this.repo = repo;
+    this.defaultBranch = null;
+    this.authenticatedLogin = undefined;
+  }
+
+  /**
+   * Get the repository's default branch (cached after the first call)
+   * @returns {Promise<string>}
+   */
+  async getDefaultBranch() {
+    if (!this.defaultBranch) {
+      const { data } = await this.octokit.rest.repos.get({
+        owner: this.owner,
+        repo: this.repo,
+      });
+      this.defaultBranch = data.default_branch;
+    }
+
+    return this.defaultBranch;
+  }
+
+  /**
+   * Get the login of the account the token belongs to (cached after the first call).
+   * GitHub App installation tokens cannot read it.
+   * @returns {Promise<string | null>} The login, or null when the token cannot tell
+   */
+  async getAuthenticatedLogin() {
+    if (this.authenticatedLogin === undefined) {
+      try {
+        const { data } = await this.octokit.rest.users.getAuthenticated();
+        this.authenticatedLogin = data.login;
+      } catch (error) {
+        if (error.status !== 403 && error.status !== 404) {
+          throw error;
+        }
+        console.log(`⚠️  Cannot read the login of the GitHub token (${error.status}); bot commits are recognized by their message only`);
+        this.authenticatedLogin = null;
+      }
+    }
+
+    return this.authenticatedLogin;
   }
 
   /**
@@ -31,6 +85,21 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Get the commit a branch points at
+   * @param {string} branch
+   * @returns {Promise<string>} Head commit SHA
+   */
+  async getBranchHead(branch) {
+    const { data: refData } = await this.octokit.rest.git.getRef({
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${branch}`,
+    });
+
+    return refData.object.sha;
+  }
+
   /**
    * Get the content of a file from a specific branch
    * @param {string} filePath
@@ -55,10 +124,12 @@ export class GitHubClient {
   /**
    * Create a new branch from another branch
    * @param {string} newBranchName
-   * @param {string} fromBranch
+   * @param {string} [fromBranch] - Defaults to the repository's default branch
    * @returns {Promise<void>}
    */
-  async createBranch(newBranchName, fromBranch = 'main') {
+  async createBranch(newBranchName, fromBranch) {
+    fromBranch = fromBranch || await this.getDefaultBranch();
+
     // Get the SHA of the source branch
     const { data: refData } = await this.octokit.rest.git.getRef({
       owner: this.owner,
@@ -102,13 +173,310 @@ export class GitHubClient {
     console.log(`✓ Updated file: ${filePath}`);
   }
 
+  /**
+   * Commit several files to a branch as one atomic commit, using the Git Data API
+   * (blobs, tree, commit, ref update)
+   *
+   * If the branch moves while the commit is being built (someone else pushed), the
+   * ref update is rejected. The files are then rebuilt on top of the new head and
+   * the commit is retried. Pass a function as `files` to redo the merge against the
+   * new head; a plain array is simply re-applied on top of it.
+   *
+   * Files computed from an earlier read of the branch should pass the commit they
+   * were read at as `expectedSha`: a head that has moved on since is treated like a
+   * rejected update, so the files are rebuilt instead of overwriting the new commits.
+   * @param {string} branch
+   * @param {Array<{path: string, content: string}> | ((headSha: string, attempt: number) => Promise<Array<{path: string, content: string}>>)} files
+   *   Files to write, or a function building them for a given head commit
+   * @param {string} commitMessage
+   * @param {object} [options]
+   * @param {number} [options.maxRetries=3] - Retries after a conflicting update
+   * @param {string} [options.expectedSha] - Head commit the files were built from
+   * @returns {Promise<{sha: string, changed: boolean, attempts: number}>} The new head commit
+   */
+  async commitFiles(branch, files, commitMessage, { maxRetries = 3, expectedSha } = {}) {
+    const buildFiles = typeof files === 'function' ? files : async () => files;
+
+    for (let attempt = 0; ; attempt++) {
+      const { data: refData } = await this.octokit.rest.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branch}`,
+      });
+      const headSha = refData.object.sha;
+
+      // The branch moved between the read and now: rebuild the files on the new head
+      if (attempt === 0 && expectedSha && headSha !== expectedSha) {
+        console.log(`⚠️  ${branch} moved since it was read (${expectedSha.slice(0, 7)} -> ${headSha.slice(0, 7)}), rebuilding on the new head...`);
+        continue;
+      }
+
+      const changes = await buildFiles(headSha, attempt);
+      if (changes.length === 0) {
+        console.log(`✓ Nothing to commit on ${branch}`);
+        return { sha: headSha, changed: false, attempts: attempt + 1 };
+      }
+
+      const { data: headCommit } = await this.octokit.rest.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: headSha,
+      });
+
+      const tree = [];
+      for (const file of changes) {
+        const { data: blob } = await this.octokit.rest.git.createBlob({
+          owner: this.owner,
+          repo: this.repo,
+          content: Buffer.from(file.content).toString('base64'),
+          encoding: 'base64',
+        });
+        tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+      }
+
+      const { data: newTree } = await this.octokit.rest.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        base_tree: headCommit.tree.sha,
+        tree,
+      });
+
+      const { data: commit } = await this.octokit.rest.git.createCommit({
+        owner: this.owner,
+        repo: this.repo,
+        message: commitMessage,
+        tree: newTree.sha,
+        parents: [headSha],
+      });
+
+      try {
+        await this.octokit.rest.git.updateRef({
+          owner: this.owner,
+          repo: this.repo,
+          ref: `heads/${branch}`,
+          sha: commit.sha,
+          force: false,
+        });
+      } catch (error) {
+        // 422 = not a fast-forward: the branch moved since we read it
+        if (error.status === 422 && attempt < maxRetries) {
+          console.log(`⚠️  ${branch} was updated concurrently, rebasing onto the new head (retry ${attempt + 1}/${maxRetries})...`);
+          continue;
+        }
+        throw error;
+      }
+
+      console.log(`✓ Committed ${changes.map(file => file.path).join(', ')} to ${branch} (${commit.sha.slice(0, 7)})`);
+      return { sha: commit.sha, changed: true, attempts: attempt + 1 };
+    }
+  }
+
+  /**
+   * Reset a branch to the head of another one, dropping its own commits
+   * @param {string} branch
+   * @param {string} [fromBranch] - Defaults to the repository's default branch
+   * @returns {Promise<string>} The new head commit
+   */
+  async resetBranch(branch, fromBranch) {
+    fromBranch = fromBranch || await this.getDefaultBranch();
+
+    const { data: refData } = await this.octokit.rest.git.getRef({
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${fromBranch}`,
+    });
+
+    await this.octokit.rest.git.updateRef({
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${branch}`,
+      sha: refData.object.sha,
+      force: true,
+    });
+
+    console.log(`✓ Reset branch ${branch} to ${fromBranch} (${refData.object.sha.slice(0, 7)})`);
+    return refData.object.sha;
+  }
+
+  /**
+   * Merge another branch into a branch with a merge commit
+   * @param {string} branch - Branch to merge into
+   * @param {string} fromBranch - Branch to merge
+   * @param {string} commitMessage
+   * @returns {Promise<string>} The new head commit
+   * @throws {Error} With status 409 when the branches conflict
+   */
+  async mergeBranch(branch, fromBranch, commitMessage) {
+    const response = await this.octokit.rest.repos.merge({
+      owner: this.owner,
+      repo: this.repo,
+      base: branch,
+      head: fromBranch,
+      commit_message: commitMessage,
+    });
+
+    // 204 = the branch already contains fromBranch
+    if (response.status === 204) {
+      return this.getBranchHead(branch);
+    }
+
+    console.log(`✓ Merged ${fromBranch} into ${branch} (${response.data.sha.slice(0, 7)})`);
+    return response.data.sha;
+  }
+
+  /**
+   * Get how a branch relates to its base: commits ahead and behind, and the most
+   * recent PR from it in any state
+   * @param {string} branch
+   * @param {string} [baseBranch] - Defaults to the repository's default branch
+   * @returns {Promise<{aheadBy: number, behindBy: number, pullRequest: {number: number, url: string, state: 'open' | 'closed' | 'merged'} | null}>}
+   */
+  async getBranchStatus(branch, baseBranch) {
+    baseBranch = baseBranch || await this.getDefaultBranch();
+
+    const { data: comparison } = await this.octokit.rest.repos.compareCommitsWithBasehead({
+      owner: this.owner,
+      repo: this.repo,
+      basehead: `${baseBranch}...${branch}`,
+      per_page: 1,
+    });
+
+    const { data: pulls } = await this.octokit.rest.pulls.list({
+      owner: this.owner,
+      repo: this.repo,
+      head: `${this.owner}:${branch}`,
+      base: baseBranch,
+      state: 'all',
+      sort: 'created',
+      direction: 'desc',
+      per_page: 1,
+    });
+
+    const pr = pulls[0];
+    return {
+      aheadBy: comparison.ahead_by,
+      behindBy: comparison.behind_by,
+      pullRequest: pr
+        ? { number: pr.number, url: pr.html_url, state: pr.merged_at ? 'merged' : pr.state }
+        : null,
+    };
+  }
+
+  /**
+   * List the commits on a branch that are not on another one (e.g. the bot branch
+   * against its base), oldest first
+   * @param {string} baseBranch
+   * @param {string} headBranch
+   * @returns {Promise<Array<{sha: string, parent: string | null, parentCount: number, message: string, author: string, committer: string}>>}
+   *   `parent` is the first parent; merge commits have a `parentCount` above 1
+   */
+  async listCommitsBetween(baseBranch, headBranch) {
+    const { data } = await this.octokit.rest.repos.compareCommitsWithBasehead({
+      owner: this.owner,
+      repo: this.repo,
+      basehead: `${baseBranch}...${headBranch}`,
+    });
+
+    return data.commits.map(commit => ({
+      sha: commit.sha,
+      parent: commit.parents[0]?.sha || null,
+      parentCount: commit.parents.length,
+      message: commit.commit.message,
+      author: commit.author?.login || commit.commit.author?.name || 'unknown',
+      committer: commit.committer?.login || commit.commit.committer?.name || 'unknown',
+    }));
+  }
+
+  /**
+   * Search the repository for files that still use the given tokens, through
+   * `var(--token)` references or Tailwind classes generated from them
+   *
+   * Walks the whole tree at `ref` and reads every source file (see token-usage.js
+   * for what is scanned). Code search can't match the Tailwind classes, so the first
+   * scan costs one API call per source file. Blobs are cached for the whole process,
+   * so later scans (of any job or target) only fetch the files that changed.
+   * @param {Array<string>} tokenNames - e.g. ["--color-blue-500"]
+   * @param {string} ref - Branch or commit to scan
+   * @param {object} [options]
+   * @param {Array<string>} [options.exclude] - Paths to skip, e.g. the token CSS file itself
+   * @param {number} [options.concurrency=8] - Blobs fetched in parallel
+   * @returns {Promise<Array<{name: string, files: Array<string>}>>}
+   */
+  async findTokenUsages(tokenNames, ref, { exclude = [], concurrency = 8 } = {}) {
+    if (tokenNames.length === 0) {
+      return [];
+    }
+
+    const { data: tree } = await this.octokit.rest.git.getTree({
+      owner: this.owner,
+      repo: this.repo,
+      tree_sha: ref,
+      recursive: 'true',
+    });
+    if (tree.truncated) {
+      console.log(`⚠️  Tree of ${ref} is too large to list completely; the usage scan may miss files`);
+    }
+
+    const entries = tree.tree.filter(entry => entry.type === 'blob' && isScannableFile(entry.path, exclude));
+    const files = [];
+
+    for (let i = 0; i < entries.length; i += concurrency) {
+      const batch = entries.slice(i, i + concurrency);
+      files.push(...await Promise.all(batch.map(async entry => ({
+        path: entry.path,
+        content: await this.getBlobContent(entry.sha),
+      }))));
+    }
+
+    console.log(`✓ Scanned ${files.length} files on ${ref} for ${tokenNames.length} tokens`);
+    return scanTokenUsages(files, tokenNames);
+  }
+
+  /**
+   * Get the content of a blob (cached by SHA for the whole process)
+   * @param {string} sha
+   * @returns {Promise<string>}
+   */
+  async getBlobContent(sha) {
+    const cached = blobCache.get(sha);
+    if (cached !== undefined) {
+      // Move it to the most recently used end
+      blobCache.delete(sha);
+      blobCache.set(sha, cached);
+      return cached;
+    }
+
+    const { data } = await this.octokit.rest.git.getBlob({
+      owner: this.owner,
+      repo: this.repo,
+      file_sha: sha,
+    });
+    const content = Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
+
+    if (!blobCache.has(sha)) {
+      blobCache.set(sha, content);
+      blobCacheBytes += content.length;
+    }
+    for (const [oldest, oldContent] of blobCache) {
+      if (blobCacheBytes <= BLOB_CACHE_MAX_BYTES) {
+        break;
+      }
+      blobCache.delete(oldest);
+      blobCacheBytes -= oldContent.length;
+    }
+
+    return content;
+  }
+
   /**
    * Check if a PR exists from a branch
    * @param {string} headBranch
-   * @param {string} baseBranch
+   * @param {string} [baseBranch] - Defaults to the repository's default branch
    * @returns {Promise<{exists: boolean, number?: number, url?: string}>}
    */
-  async getPullRequest(headBranch, baseBranch = 'main') {
+  async getPullRequest(headBranch, baseBranch) {
+    baseBranch = baseBranch || await this.getDefaultBranch();
+
     const { data: pulls } = await this.octokit.rest.pulls.list({
       owner: this.owner,
       repo: this.repo,
@@ -132,11 +500,13 @@ export class GitHubClient {
    * Create a pull request
    * @param {string} title
    * @param {string} headBranch
-   * @param {string} baseBranch
+   * @param {string} [baseBranch] - Defaults to the repository's default branch
    * @param {string} body
    * @returns {Promise<{number: number, url: string}>}
    */
-  async createPullRequest(title, headBranch, baseBranch = 'main', body = '') {
+  async createPullRequest(title, headBranch, baseBranch, body = '') {
+    baseBranch = baseBranch || await this.getDefaultBranch();
+
     const { data: pr } = await this.octokit.rest.pulls.create({
       owner: this.owner,
       repo: this.repo,
@@ -153,4 +523,59 @@ export class GitHubClient {
       url: pr.html_url,
     };
   }
+
+  /**
+   * Update the body of a pull request
+   * @param {number} pullNumber
+   * @param {string} body
+   * @returns {Promise<void>}
+   */
+  async updatePullRequestBody(pullNumber, body) {
+    await this.octokit.rest.pulls.update({
+      owner: this.owner,
+      repo: this.repo,
+      pull_number: pullNumber,
+      body,
+    });
+
+    console.log(`✓ Updated PR #${pullNumber} description`);
+  }
+
+  /**
+   * Reopen a closed pull request
+   * @param {number} pullNumber
+   * @returns {Promise<{number: number, url: string}>}
+   */
+  async reopenPullRequest(pullNumber) {
+    const { data: pr } = await this.octokit.rest.pulls.update({
+      owner: this.owner,
+      repo: this.repo,
+      pull_number: pullNumber,
+      state: 'open',
+    });
+
+    console.log(`✓ Reopened PR #${pr.number}: ${pr.html_url}`);
+
+    return {
+      number: pr.number,
+      url: pr.html_url,
+    };
+  }
+
+  /**
+   * Add a comment to a pull request
+   * @param {number} pullNumber
+   * @param {string} body
+   * @returns {Promise<void>}
+   */
+  async createPullRequestComment(pullNumber, body) {
+    await this.octokit.rest.issues.createComment({
+      owner: this.owner,
+      repo: this.repo,
+      issue_number: pullNumber,
+      body,
+    });
+
+    console.log(`✓ Commented on PR #${pullNumber}`);
+  }
 }
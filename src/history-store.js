@@ -0,0 +1,87 @@
+import { randomUUID } from 'crypto';
+import { JsonFile } from './json-file.js';
+
+/**
+ * File-backed log of completed syncs
+ *
+ * Every sync that commits to a target records an entry: when it ran, who
+ * submitted it, a hash of the incoming CSS, the token diff, the commit and the PR,
+ * and the token section as committed, so a later revert can restore it. Entries
+ * are kept in memory and written to a single JSON file after every change. Only
+ * the most recent entries of each target are kept, so the file stays bounded.
+ */
+export class HistoryStore {
+  /**
+   * @param {string} filePath - JSON file to persist the history to
+   * @param {object} [options]
+   * @param {number} [options.maxEntriesPerTarget=200] - Entries kept per sync target; older ones are dropped
+   */
+  constructor(filePath, { maxEntriesPerTarget = 200 } = {}) {
+    if (!Number.isInteger(maxEntriesPerTarget) || maxEntriesPerTarget < 1) {
+      throw new Error(`The history must keep at least one entry per target (got ${maxEntriesPerTarget})`);
+    }
+    this.filePath = filePath;
+    this.file = new JsonFile(filePath);
+    this.maxEntriesPerTarget = maxEntriesPerTarget;
+    this.entries = [];
+  }
+
+  /**
+   * Load the history from disk (a missing file means no syncs yet)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.entries = await this.file.read([]);
+  }
+
+  /**
+   * Record a completed sync, dropping the target's oldest entry when it has too many
+   * @param {object} data - Entry fields (target, submittedBy, cssHash, tokenDiff, commitSha, prUrl, tokenSection, ...)
+   * @returns {Promise<object>} The recorded entry
+   */
+  async add(data) {
+    const entry = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...data,
+    };
+
+    this.entries.push(entry);
+    const targetEntries = this.entries.filter(candidate => candidate.target === entry.target);
+    if (targetEntries.length > this.maxEntriesPerTarget) {
+      const dropped = new Set(targetEntries.slice(0, targetEntries.length - this.maxEntriesPerTarget));
+      this.entries = this.entries.filter(candidate => !dropped.has(candidate));
+    }
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {string} id
+   * @returns {object | null}
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {object} [options]
+   * @param {string} [options.target] - Only entries of this sync target
+   * @returns {Array<object>}
+   */
+  list({ target } = {}) {
+    return this.entries
+      .filter(entry => !target || entry.target === target)
+      .reverse();
+  }
+
+  /**
+   * Write the history to disk
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.file.write(this.entries);
+  }
+}
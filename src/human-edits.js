@@ -0,0 +1,94 @@
+import { TOKEN_BLOCK_SELECTORS, extractTokenValues } from './css-parser.js';
+
+/**
+ * What happens to tokens a reviewer edited by hand on the bot branch when Figma
+ * sends a different value:
+ * - keep: the reviewer's value stays (and a token they deleted stays deleted)
+ * - flag: Figma's value is applied, and the conflict is reported on the PR
+ */
+export const HUMAN_EDIT_POLICIES = ['keep', 'flag'];
+
+// Every commit the bot makes has a message starting with this
+const BOT_COMMIT_PREFIX = '[automated]';
+
+/**
+ * Whether a commit on the bot branch was made by the bot: authored or committed by
+ * the account the bot pushes as, with the bot's message prefix. Anyone can write the
+ * prefix, so it only decides on its own when the bot's account is unknown.
+ * @param {{message: string, author: string, committer?: string}} commit
+ * @param {string | null} [botLogin] - Login of the bot's GitHub account
+ * @returns {boolean}
+ */
+export function isBotCommit(commit, botLogin) {
+  if (!commit.message.startsWith(BOT_COMMIT_PREFIX)) {
+    return false;
+  }
+  return !botLogin || commit.author === botLogin || commit.committer === botLogin;
+}
+
+/**
+ * Whether a commit merges another branch in (e.g. GitHub's "Update branch" button
+ * merging the base branch into the bot branch). Its changes against its first parent
+ * are the other branch's, not hand edits.
+ * @param {{parentCount?: number}} commit
+ * @returns {boolean}
+ */
+export function isMergeCommit(commit) {
+  return (commit.parentCount ?? 1) > 1;
+}
+
+/**
+ * Find the hand edits that an incoming token section would overwrite
+ *
+ * An edit conflicts when Figma sends another value for the token, sends a token
+ * the reviewer deleted, or removes the token (with a removal marker, or by leaving
+ * it out of a block it sent when the removal policy is not "keep").
+ * @param {string} incomingSection - Token section from Figma, without removal markers
+ * @param {Array<{selector: string, name: string, value: string | null, commit: string, author: string}>} edits
+ *   Hand edits still in place on the bot branch (value null: deleted)
+ * @param {object} [options]
+ * @param {Array<{selector: string, name: string}>} [options.markers] - Removal markers (from extractRemovalMarkers)
+ * @param {string} [options.removalPolicy='keep']
+ * @param {Array<string>} [options.selectors] - Token block selectors
+ * @returns {Array<{selector: string, name: string, value: string | null, figmaValue: string | null, commit: string, author: string}>}
+ *   The conflicting edits, with Figma's value (null: Figma removes the token)
+ */
+export function findEditConflicts(incomingSection, edits, { markers = [], removalPolicy = 'keep', selectors = TOKEN_BLOCK_SELECTORS } = {}) {
+  const incoming = extractTokenValues(incomingSection, selectors);
+  const conflicts = [];
+
+  for (const edit of edits) {
+    const block = incoming.get(edit.selector);
+    const marked = markers.some(marker => marker.selector === edit.selector && marker.name === edit.name);
+
+    if (block?.has(edit.name)) {
+      if (block.get(edit.name) !== edit.value) {
+        conflicts.push({ ...edit, figmaValue: block.get(edit.name) });
+      }
+    } else if (edit.value !== null && removalPolicy !== 'keep' && (marked || block)) {
+      conflicts.push({ ...edit, figmaValue: null });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Render the PR comment listing hand edits a Figma push conflicted with
+ * @param {Array<object>} conflicts - Result of findEditConflicts
+ * @param {'keep' | 'flag'} policy
+ * @returns {string}
+ */
+export function renderEditConflictsMarkdown(conflicts, policy) {
+  const describe = value => (value === null ? '_(deleted)_' : `\`${value}\``);
+  const rows = conflicts.map(conflict => (
+    `| \`${conflict.selector}\` | \`${conflict.name}\` | ${describe(conflict.value)} | ${describe(conflict.figmaValue)} | @${conflict.author} (${conflict.commit.slice(0, 7)}) |`
+  ));
+
+  return [
+    policy === 'keep'
+      ? `⚠️ The latest Figma push would have overwritten ${conflicts.length} hand edit(s) on this branch. The edits were kept; update the tokens in Figma, or change them here, to settle them.`
+      : `⚠️ The latest Figma push overwrote ${conflicts.length} hand edit(s) on this branch. Check that Figma's values are the ones you want.`,
+    ['| Block | Token | Hand edit | Figma | Edited by |', '|---|---|---|---|---|', ...rows].join('\n'),
+  ].join('\n\n');
+}
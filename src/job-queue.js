@@ -0,0 +1,256 @@
+/**
+ * Job queue that runs webhook submissions one at a time
+ *
+ * Running jobs serially means two pushes from Figma can never race on the bot
+ * branch. Job state is kept in a JobStore so it can be queried (and survives
+ * restarts).
+ *
+ * Submissions can be debounced: a job then waits for its debounce window before
+ * it runs, and a submission arriving while the last queued job with the same key
+ * (e.g. the same sync target) is still waiting is coalesced into it instead of
+ * becoming a job of its own. The submission still gets a job ID, in the `absorbed`
+ * state, pointing at the job it went into (`absorbedInto`); that job lists it in
+ * `absorbed`. Every absorbed submission restarts the window. Jobs with other keys
+ * do not wait for it: the first job whose window has passed runs, and jobs with
+ * the same key run in the order they were queued.
+ *
+ * A job's input (the submitted CSS) is only kept until the job has finished.
+ */
+export class JobQueue {
+  /**
+   * @param {import('./job-store.js').JobStore} store
+   * @param {(input: object, context: {job: object, setStep: (step: string) => void}) => Promise<object>} handler
+   *   Runs a job and resolves with its result ({success, prUrl?, error?, ...})
+   * @param {object} [options]
+   * @param {(input: object) => string} [options.key] - Key of a submission; only submissions with the same key
+   *   are coalesced (default: all the same)
+   * @param {(input: object) => number} [options.debounce] - Debounce window of a submission, in ms (default: none)
+   * @param {(queuedInput: object, input: object) => object | null} [options.coalesce]
+   *   Combines a waiting job's input with a newer submission, or returns null when they cannot be combined
+   */
+  constructor(store, handler, { key = () => '', debounce = () => 0, coalesce = () => null } = {}) {
+    this.store = store;
+    this.handler = handler;
+    this.key = key;
+    this.debounce = debounce;
+    this.coalesce = coalesce;
+    this.pending = [];
+    this.running = false;
+    this.wake = null; // Ends the wait for a debounce window early
+  }
+
+  /**
+   * Restore jobs from the store. Queued jobs are run again; jobs that were running
+   * when the server stopped are marked as failed, since they may have partially
+   * completed.
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    for (const job of this.store.list()) {
+      if (job.state === 'running') {
+        await this.store.update(job.id, {
+          state: 'failed',
+          error: 'Server restarted while the job was running',
+          input: undefined,
+          finishedAt: new Date().toISOString(),
+        });
+      } else if (job.state === 'queued') {
+        this.pending.push(job.id);
+      }
+    }
+
+    if (this.pending.length > 0) {
+      console.log(`📋 Restored ${this.pending.length} queued job(s)`);
+      this.start();
+    }
+  }
+
+  /**
+   * Add a job to the queue, or coalesce it into the last queued job with the same
+   * key while that one is waiting for its debounce window
+   * @param {object} input - Input passed to the handler
+   * @param {object} [metadata] - Extra public job fields (e.g. submittedBy)
+   * @returns {Promise<object>} The queued job, or the absorbed one (with `absorbedInto`)
+   */
+  async enqueue(input, metadata = {}) {
+    const delay = this.debounce(input);
+    const runAfter = delay > 0 ? new Date(Date.now() + delay).toISOString() : undefined;
+
+    const waiting = delay > 0 ? this.waitingJob(this.key(input)) : null;
+    const coalesced = waiting && this.coalesce(waiting.input, input);
+    if (coalesced) {
+      const job = await this.store.create({
+        ...metadata,
+        state: 'absorbed',
+        step: null,
+        absorbedInto: waiting.id,
+        finishedAt: new Date().toISOString(),
+      });
+      await this.store.update(waiting.id, {
+        input: coalesced,
+        absorbed: [...(waiting.absorbed || []), job.id],
+        runAfter,
+      });
+
+      console.log(`📋 Coalesced submission ${job.id} into queued job ${waiting.id} (runs after ${runAfter})`);
+      return job;
+    }
+
+    const job = await this.store.create({
+      ...metadata,
+      state: 'queued',
+      step: null,
+      ...(runAfter && { runAfter }),
+      input,
+    });
+
+    this.pending.push(job.id);
+    console.log(`📋 Queued job ${job.id} (${this.pending.length} waiting${runAfter ? `, runs after ${runAfter}` : ''})`);
+    // The queue may be waiting out a longer window than this job's
+    this.wake?.();
+    this.start();
+
+    return job;
+  }
+
+  /**
+   * The last queued job with a key, if it has not started yet and is still inside its debounce window
+   * @param {string} key
+   * @returns {object | null}
+   */
+  waitingJob(key) {
+    const id = this.pending.findLast(candidate => this.key(this.store.get(candidate).input) === key);
+    const job = id ? this.store.get(id) : null;
+    if (!job || job.state !== 'queued' || !job.runAfter || Date.parse(job.runAfter) <= Date.now()) {
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * Pick the job to run next: the first pending job whose debounce window has passed
+   * and that no earlier job with the same key is queued before
+   * @returns {{id: string} | {wait: number}} The job, or how long until the next window ends (ms)
+   */
+  nextJob() {
+    const keys = new Set();
+    let wait = Infinity;
+
+    for (const id of this.pending) {
+      const { input, runAfter } = this.store.get(id);
+      const key = this.key(input);
+      if (keys.has(key)) {
+        continue;
+      }
+      keys.add(key);
+
+      const remaining = runAfter ? Date.parse(runAfter) - Date.now() : 0;
+      if (remaining <= 0) {
+        return { id };
+      }
+      wait = Math.min(wait, remaining);
+    }
+
+    return { wait };
+  }
+
+  /**
+   * Get the public view of a job (without its input)
+   * @param {string} id
+   * @returns {object | null}
+   */
+  getStatus(id) {
+    const job = this.store.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const { input, ...status } = job;
+    return { ...status, position: this.pending.indexOf(id) + 1 || undefined };
+  }
+
+  /**
+   * Start draining the queue in the background. Nothing waits for it, so a failure
+   * is logged instead of becoming an unhandled rejection.
+   */
+  start() {
+    this.drain().catch(error => {
+      console.error('❌ Job queue stopped:', error);
+    });
+  }
+
+  /**
+   * Run pending jobs until the queue is empty
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      while (this.pending.length > 0) {
+        // Wait out the debounce windows until one ends; more submissions may extend them
+        // meanwhile, and a new job may be ready sooner
+        const { id, wait } = this.nextJob();
+        if (!id) {
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, wait);
+            this.wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          this.wake = null;
+          continue;
+        }
+
+        this.pending.splice(this.pending.indexOf(id), 1);
+        await this.run(id);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome. Failing to record it (e.g. the disk is
+   * full) is logged; the job's state is still updated in memory.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async run(id) {
+    const job = this.store.get(id);
+
+    const setStep = step => {
+      this.store.update(id, { step }).catch(error => {
+        console.error(`❌ Failed to record step for job ${id}:`, error);
+      });
+    };
+
+    let outcome;
+    try {
+      await this.store.update(id, { state: 'running', startedAt: new Date().toISOString() });
+
+      const result = await this.handler(job.input, { job, setStep });
+      const { success, error, ...details } = result;
+
+      outcome = {
+        state: success ? 'succeeded' : 'failed',
+        ...(details.prUrl && { prUrl: details.prUrl }),
+        ...(error && { error }),
+        result: details,
+      };
+    } catch (error) {
+      console.error(`❌ Job ${id} failed:`, error);
+      outcome = { state: 'failed', error: error.message };
+    }
+
+    try {
+      await this.store.update(id, { ...outcome, input: undefined, finishedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error(`❌ Failed to record the outcome of job ${id}:`, error);
+    }
+  }
+}
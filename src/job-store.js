@@ -0,0 +1,95 @@
+import { randomUUID } from 'crypto';
+import { JsonFile } from './json-file.js';
+
+/**
+ * File-backed store for webhook jobs
+ *
+ * All jobs are kept in memory and written to a single JSON file after every
+ * change, so job state survives a server restart.
+ */
+export class JobStore {
+  /**
+   * @param {string} filePath - JSON file to persist jobs to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.file = new JsonFile(filePath);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Load jobs from disk (a missing file means no jobs yet)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const data = await this.file.read([]);
+    this.jobs = new Map(data.map(job => [job.id, job]));
+  }
+
+  /**
+   * Create a new job
+   * @param {object} data - Initial job fields
+   * @returns {Promise<object>} The created job
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      ...data,
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id
+   * @returns {object | null}
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * List all jobs, oldest first
+   * @returns {Array<object>}
+   */
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Update fields of a job. A field set to undefined is removed.
+   * @param {string} id
+   * @param {object} changes
+   * @returns {Promise<object>} The updated job
+   */
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    for (const [key, value] of Object.entries({ ...changes, updatedAt: new Date().toISOString() })) {
+      if (value === undefined) {
+        delete job[key];
+      } else {
+        job[key] = value;
+      }
+    }
+    await this.save();
+    return job;
+  }
+
+  /**
+   * Write all jobs to disk
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.file.write(this.list());
+  }
+}
@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON file that a store keeps its whole state in
+ *
+ * Writes are serialized and go through a temp file, so the file is never left
+ * half-written and a slow write never lands after a newer one.
+ */
+export class JsonFile {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Read the file
+   * @param {*} fallback - Value when the file does not exist yet
+   * @returns {Promise<*>}
+   */
+  async read(fallback) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return fallback;
+    }
+  }
+
+  /**
+   * Replace the file's content. The data is serialized right away, so later
+   * changes to it are not written.
+   * @param {*} data
+   * @returns {Promise<void>} Resolves once this write is on disk
+   */
+  write(data) {
+    const snapshot = JSON.stringify(data, null, 2);
+
+    // A failed write must not block later ones
+    this.writeChain = this.writeChain.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    return this.writeChain;
+  }
+}
@@ -0,0 +1,239 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * LLM providers the merge can use:
+ * - anthropic: the Anthropic Messages API (or a compatible endpoint via baseURL)
+ * - openai: any OpenAI-compatible Chat Completions endpoint, e.g. a local model
+ *   server or a stub in tests
+ */
+export const LLM_PROVIDERS = ['anthropic', 'openai'];
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-5-20250929',
+};
+
+// Rate limited (429) and overloaded (529) responses are worth retrying
+const RETRYABLE_STATUSES = [429, 529];
+
+/**
+ * Read the LLM configuration from the environment
+ *
+ * - LLM_PROVIDER: anthropic (default) or openai
+ * - LLM_MODEL: model name (default: claude-sonnet-4-5-20250929 for anthropic, required for openai)
+ * - LLM_BASE_URL: API endpoint (default: the provider's)
+ * - LLM_API_KEY: API key (default: ANTHROPIC_API_KEY for anthropic)
+ * - LLM_TEMPERATURE: sampling temperature, a number of at least 0 (default: the provider's)
+ * - LLM_MAX_TOKENS: output token limit per request, a positive integer (default: 8000)
+ * - LLM_MAX_RETRIES: retries after 429/529 responses, a non-negative integer (default: 3)
+ * @returns {{provider: string, model: string, baseURL?: string, apiKey?: string, temperature?: number, maxTokens: number, maxRetries: number}}
+ * @throws {Error} When a numeric setting is not a valid number
+ */
+export function loadLLMConfig() {
+  const provider = process.env.LLM_PROVIDER || 'anthropic';
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+    baseURL: process.env.LLM_BASE_URL || undefined,
+    apiKey: process.env.LLM_API_KEY || (provider === 'anthropic' ? process.env.ANTHROPIC_API_KEY : undefined),
+    temperature: readNumberEnv('LLM_TEMPERATURE'),
+    maxTokens: readNumberEnv('LLM_MAX_TOKENS', { integer: true, min: 1 }) ?? 8000,
+    maxRetries: readNumberEnv('LLM_MAX_RETRIES', { integer: true }) ?? 3,
+  };
+}
+
+/**
+ * Error thrown when an LLM reply was cut off at the output token limit
+ */
+export class LLMTruncationError extends Error {
+  /**
+   * @param {string} description - What was being generated
+   * @param {number} maxTokens - The limit that was hit
+   */
+  constructor(description, maxTokens) {
+    super(`LLM reply for ${description} was truncated at ${maxTokens} output tokens; refusing to use partial CSS`);
+    this.name = 'LLMTruncationError';
+  }
+}
+
+/**
+ * Client for the LLM used by the merge. Build one per process and reuse it: the
+ * underlying HTTP client keeps its connections.
+ */
+export class LLMClient {
+  /**
+   * @param {object} config
+   * @param {string} [config.provider='anthropic'] - One of LLM_PROVIDERS
+   * @param {string} [config.model] - Model name (default depends on the provider)
+   * @param {string} [config.apiKey]
+   * @param {string} [config.baseURL] - API endpoint, e.g. http://localhost:8080/v1
+   * @param {number} [config.temperature] - Sampling temperature (provider default when unset)
+   * @param {number} [config.maxTokens=8000] - Output token limit per request
+   * @param {number} [config.maxRetries=3] - Retries after 429/529 responses
+   * @param {number} [config.retryDelay=1000] - First retry delay in ms, doubled on every retry
+   * @throws {Error} When the provider is unknown, the model is missing, or a numeric setting is invalid
+   */
+  constructor({
+    provider = 'anthropic',
+    model,
+    apiKey,
+    baseURL,
+    temperature,
+    maxTokens = 8000,
+    maxRetries = 3,
+    retryDelay = 1000,
+  } = {}) {
+    if (!LLM_PROVIDERS.includes(provider)) {
+      throw new Error(`Unknown LLM provider (expected ${LLM_PROVIDERS.join(' or ')}): ${provider}`);
+    }
+    this.provider = provider;
+    this.model = model || DEFAULT_MODELS[provider];
+    if (!this.model) {
+      throw new Error(`LLM_MODEL is required for the ${provider} provider`);
+    }
+
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.temperature = temperature === undefined ? undefined : assertNumber('temperature', temperature);
+    this.maxTokens = assertNumber('maxTokens', maxTokens, { integer: true, min: 1 });
+    this.maxRetries = assertNumber('maxRetries', maxRetries, { integer: true });
+    this.retryDelay = assertNumber('retryDelay', retryDelay);
+
+    if (provider === 'anthropic') {
+      // Retries are handled below, with the same policy for every provider
+      this.anthropic = new Anthropic({ apiKey, baseURL, maxRetries: 0 });
+    }
+  }
+
+  /**
+   * Send a prompt and return the text of the reply
+   * @param {string} prompt
+   * @param {string} description - What is being generated (for logs and errors)
+   * @returns {Promise<string>}
+   * @throws {LLMTruncationError} When the reply was cut off at the output limit
+   */
+  async complete(prompt, description) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { text, truncated } = this.provider === 'anthropic'
+          ? await this.completeWithAnthropic(prompt)
+          : await this.completeWithOpenAI(prompt);
+
+        if (truncated) {
+          throw new LLMTruncationError(description, this.maxTokens);
+        }
+        return text;
+      } catch (error) {
+        if (!RETRYABLE_STATUSES.includes(error.status) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = retryAfterMs(error) ?? this.retryDelay * 2 ** attempt;
+        console.log(`⚠️  LLM request for ${description} failed with ${error.status}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * @param {string} prompt
+   * @returns {Promise<{text: string, truncated: boolean}>}
+   */
+  async completeWithAnthropic(prompt) {
+    const message = await this.anthropic.messages.create({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      ...(this.temperature !== undefined && { temperature: this.temperature }),
+      messages: [
+        {
+          role: 'user',
+          content: prompt,
+        },
+      ],
+    });
+
+    return {
+      text: message.content[0].text,
+      truncated: message.stop_reason === 'max_tokens',
+    };
+  }
+
+  /**
+   * @param {string} prompt
+   * @returns {Promise<{text: string, truncated: boolean}>}
+   */
+  async completeWithOpenAI(prompt) {
+    const baseURL = (this.baseURL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const response = await fetch(`${baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        ...(this.temperature !== undefined && { temperature: this.temperature }),
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`LLM request failed with ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers);
+      throw error;
+    }
+
+    const { choices } = await response.json();
+    return {
+      text: choices[0].message.content,
+      truncated: choices[0].finish_reason === 'length',
+    };
+  }
+}
+
+/**
+ * Delay requested by a `retry-after` header, in ms
+ * @param {{headers?: object}} error
+ * @returns {number | null}
+ */
+function retryAfterMs(error) {
+  const headers = error.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Environment variable
+ * @param {{integer?: boolean, min?: number}} [options]
+ * @returns {number | undefined} The value, or undefined when it is unset
+ * @throws {Error} When the value is not a valid number
+ */
+function readNumberEnv(name, options) {
+  const value = process.env[name];
+  return value === undefined || value.trim() === '' ? undefined : assertNumber(name, value, options);
+}
+
+/**
+ * Check that a setting is a finite number, an integer if asked, and at least `min`
+ * @param {string} name - Setting name, for the error
+ * @param {number | string} value
+ * @param {{integer?: boolean, min?: number}} [options]
+ * @returns {number}
+ * @throws {Error} When it is not
+ */
+function assertNumber(name, value, { integer = false, min = 0 } = {}) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min) {
+    throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} of at least ${min} (got ${JSON.stringify(value)})`);
+  }
+  return number;
+}
@@ -0,0 +1,127 @@
+import { TOKEN_BLOCK_SELECTORS, extractTokenValues, parseCSS } from './css-parser.js';
+import { referencesToken } from './token-merger.js';
+
+/**
+ * Error thrown when a merged stylesheet fails validation
+ */
+export class MergeValidationError extends Error {
+  /**
+   * @param {Array<{type: string, message: string}>} violations
+   */
+  constructor(violations) {
+    super(`Merged CSS failed validation with ${violations.length} violation(s):\n${violations.map(v => `  - ${v.message}`).join('\n')}`);
+    this.name = 'MergeValidationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Validate a merged stylesheet before it is committed
+ *
+ * Checks that:
+ * - the merged CSS parses
+ * - every token of the old section still exists, unless it was explicitly removed
+ * - every token from the new section appears with exactly the new value
+ * - no token references a removed token that the section no longer declares
+ * - no line outside the token section changed
+ * @param {object} params
+ * @param {string} params.oldCSS - Full CSS before the merge
+ * @param {string} params.mergedCSS - Full CSS after the merge
+ * @param {{startLine: number, endLine: number, content: string}} params.oldSection - Token section of oldCSS
+ * @param {string} params.newSectionContent - Token section from Figma
+ * @param {Array<{selector: string, name: string}>} [params.removedTokens] - Tokens that were removed on purpose
+ * @param {Array<string>} [params.selectors] - Token block selectors
+ * @returns {Array<{type: string, message: string, selector?: string, token?: string, line?: number}>} Violations (empty when valid)
+ */
+export function validateMergedCSS({ oldCSS, mergedCSS, oldSection, newSectionContent, removedTokens = [], selectors = TOKEN_BLOCK_SELECTORS }) {
+  const violations = [];
+
+  try {
+    parseCSS(mergedCSS);
+  } catch (error) {
+    violations.push({ type: 'parse-error', message: `Merged CSS does not parse: ${error.message}` });
+    return violations;
+  }
+
+  // Everything outside the token section must be untouched
+  const oldLines = oldCSS.split('\n');
+  const mergedLines = mergedCSS.split('\n');
+  const headCount = oldSection.startLine - 1;
+  const tailCount = oldLines.length - oldSection.endLine;
+
+  if (mergedLines.length < headCount + tailCount) {
+    violations.push({ type: 'outside-section-changed', message: 'Merged CSS is shorter than the content outside the token section' });
+    return violations;
+  }
+
+  for (let i = 0; i < headCount; i++) {
+    if (oldLines[i] !== mergedLines[i]) {
+      violations.push({ type: 'outside-section-changed', line: i + 1, message: `Line ${i + 1} outside the token section changed` });
+    }
+  }
+  for (let i = 1; i <= tailCount; i++) {
+    if (oldLines[oldLines.length - i] !== mergedLines[mergedLines.length - i]) {
+      const line = mergedLines.length - i + 1;
+      violations.push({ type: 'outside-section-changed', line, message: `Line ${line} outside the token section changed` });
+    }
+  }
+
+  const mergedSectionContent = mergedLines.slice(headCount, mergedLines.length - tailCount).join('\n');
+  const mergedBlocks = extractTokenValues(mergedSectionContent, selectors);
+  const oldBlocks = extractTokenValues(oldSection.content, selectors);
+  const newBlocks = extractTokenValues(newSectionContent, selectors);
+
+  for (const [selector, oldTokens] of oldBlocks) {
+    const mergedTokens = mergedBlocks.get(selector) || new Map();
+    for (const token of oldTokens.keys()) {
+      const removed = removedTokens.some(entry => entry.selector === selector && entry.name === token);
+      if (!mergedTokens.has(token) && !removed) {
+        violations.push({
+          type: 'missing-token',
+          selector,
+          token,
+          message: `${selector} ${token} was dropped from the token section`,
+        });
+      }
+    }
+  }
+
+  for (const [selector, newTokens] of newBlocks) {
+    const mergedTokens = mergedBlocks.get(selector) || new Map();
+    for (const [token, value] of newTokens) {
+      if (!mergedTokens.has(token)) {
+        violations.push({
+          type: 'missing-new-token',
+          selector,
+          token,
+          message: `${selector} ${token} from Figma is missing in the merged CSS`,
+        });
+      } else if (mergedTokens.get(token) !== value) {
+        violations.push({
+          type: 'value-mismatch',
+          selector,
+          token,
+          message: `${selector} ${token} is "${mergedTokens.get(token)}" but Figma sent "${value}"`,
+        });
+      }
+    }
+  }
+
+  // References to removed tokens that nothing declares any more
+  const declared = new Set([...mergedBlocks.values()].flatMap(tokens => [...tokens.keys()]));
+  const gone = [...new Set(removedTokens.map(entry => entry.name))].filter(name => !declared.has(name));
+  for (const [selector, mergedTokens] of mergedBlocks) {
+    for (const [token, value] of mergedTokens) {
+      for (const name of gone.filter(candidate => referencesToken(value, candidate))) {
+        violations.push({
+          type: 'dangling-reference',
+          selector,
+          token,
+          message: `${selector} ${token} references ${name}, which was removed`,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
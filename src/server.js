@@ -1,124 +1,56 @@
-import express from 'express';
 import dotenv from 'dotenv';
-import { TokenUpdateWorkflow } from './workflow.js';
+import { createApp } from './app.js';
+import { JobStore } from './job-store.js';
+import { HistoryStore } from './history-store.js';
+import { loadWebhookClients } from './auth.js';
+import { loadLLMConfig } from './llm-client.js';
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3000;
-
-// CORS middleware for Figma plugin (origin is 'null')
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  next();
+const mergeStrategy = process.env.MERGE_STRATEGY || 'claude';
+
+// Shared-secret authentication for everything except the health check. Without
+// clients the server refuses to start, unless running open is asked for explicitly.
+const webhookClients = loadWebhookClients();
+const allowUnauthenticated = process.env.ALLOW_UNAUTHENTICATED === 'true';
+if (webhookClients.length === 0 && !allowUnauthenticated) {
+  throw new Error(
+    'No webhook clients configured: set WEBHOOK_CLIENTS or WEBHOOK_CLIENTS_FILE, '
+    + 'or ALLOW_UNAUTHENTICATED=true to run without authentication (local testing only)'
+  );
+}
+
+// A malformed numeric LLM setting (e.g. LLM_MAX_RETRIES=abc) stops the server now
+// rather than failing every sync
+if (mergeStrategy === 'claude') {
+  loadLLMConfig();
+}
+
+// Every sync that commits is recorded, so it can be reviewed and reverted later
+const historyStore = new HistoryStore(process.env.HISTORY_FILE || 'data/history.json', {
+  maxEntriesPerTarget: Number(process.env.HISTORY_MAX_ENTRIES) || 200,
 });
 
-// Middleware to parse text/plain as raw text
-app.use(express.text({ limit: '10mb' }));
-
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
-    message: 'Comfy Design Token Server',
-    version: '1.0.0',
-  });
-});
-
-// Webhook endpoint to receive CSS from Figma plugin
-app.post('/webhook/figma-tokens', async (req, res) => {
-  try {
-    const css = req.body;
-
-    if (!css || typeof css !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid request: CSS content is required',
-      });
-    }
-
-    console.log(`\n📥 Received CSS update (${css.length} characters)`);
+// Webhook submissions are persisted, so queued jobs survive a restart
+const jobStore = new JobStore(process.env.JOBS_FILE || 'data/jobs.json');
 
-    // Validate environment variables
-    const requiredEnvVars = [
-      'ANTHROPIC_API_KEY',
-      'GITHUB_TOKEN',
-      'GITHUB_OWNER',
-      'GITHUB_REPO',
-      'TARGET_FILE_PATH',
-      'BOT_BRANCH',
-    ];
+const { app, jobQueue } = createApp({ webhookClients, jobStore, historyStore, mergeStrategy });
 
-    const missingVars = requiredEnvVars.filter(v => !process.env[v]);
-    if (missingVars.length > 0) {
-      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-    }
+// Restore persisted jobs and history, then start server
+await historyStore.load();
+await jobStore.load();
+await jobQueue.restore();
 
-    // Check for test mode
-    const testMode = req.query.test === 'true' || process.env.TEST_MODE === 'true';
-
-    if (testMode) {
-      console.log('⚠️  TEST MODE ENABLED - PR creation will be skipped');
-    }
-
-    // Respond immediately to the client
-    res.json({
-      success: true,
-      message: 'Design tokens update queued for processing',
-    });
-
-    // Process the update asynchronously
-    setImmediate(async () => {
-      try {
-        // Create workflow instance
-        const workflow = new TokenUpdateWorkflow({
-          anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-          githubToken: process.env.GITHUB_TOKEN,
-          githubOwner: process.env.GITHUB_OWNER,
-          githubRepo: process.env.GITHUB_REPO,
-          targetFilePath: process.env.TARGET_FILE_PATH,
-          botBranch: process.env.BOT_BRANCH,
-          testMode: testMode,
-        });
-
-        // Process the update
-        const result = await workflow.processUpdate(css);
-
-        if (result.success) {
-          if (result.noChanges) {
-            console.log(`\n✅ Update complete: No changes detected in design tokens\n`);
-          } else {
-            console.log(`\n✅ Update complete: ${result.prUrl}\n`);
-          }
-        } else {
-          console.error(`\n❌ Update failed: ${result.error}\n`);
-        }
-      } catch (error) {
-        console.error('❌ Error in async processing:', error);
-      }
-    });
-  } catch (error) {
-    console.error('❌ Error processing webhook:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
-
-// Start server
 app.listen(PORT, () => {
   console.log('\n🚀 Comfy Design Token Server');
   console.log(`📡 Listening on port ${PORT}`);
+  if (webhookClients.length > 0) {
+    console.log(`🔐 Authentication enabled for ${webhookClients.length} client(s)`);
+  } else {
+    console.log('⚠️  ALLOW_UNAUTHENTICATED=true - authentication is DISABLED');
+  }
   console.log(`🔗 Webhook URL: http://localhost:${PORT}/webhook/figma-tokens`);
   console.log('\n✅ Server ready to receive design token updates\n');
 });
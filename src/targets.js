@@ -0,0 +1,214 @@
+import fs from 'fs';
+import { normalizeSelector } from './css-parser.js';
+import { REMOVAL_POLICIES } from './token-merger.js';
+import { HUMAN_EDIT_POLICIES } from './human-edits.js';
+import { parseContrastPairs } from './contrast-audit.js';
+
+/**
+ * Load the sync targets: the files that incoming tokens are merged into
+ *
+ * With TARGETS_FILE set, targets come from that JSON file:
+ * ```json
+ * {
+ *   "targets": [
+ *     {
+ *       "id": "design-system",
+ *       "owner": "Comfy-Org",
+ *       "repo": "ComfyUI_frontend",
+ *       "path": "packages/design-system/src/css/style.css",
+ *       "baseBranch": "main",
+ *       "botBranch": "bot-update-design-tokens",
+ *       "maxBranchBehind": 50,
+ *       "themes": [".dark-theme", "[data-theme=\"high-contrast\"]", "@media (prefers-color-scheme: dark)"],
+ *       "blocks": ["@theme", ":root", ".dark-theme"],
+ *       "removalPolicy": "deprecate",
+ *       "usageScan": "strict",
+ *       "humanEditPolicy": "flag",
+ *       "debounceSeconds": 30,
+ *       "contrast": {
+ *         "pairs": ["--text-primary:--bg-base", { "foreground": "--text-muted", "background": "--bg-base", "large": true }],
+ *         "level": "AA",
+ *         "block": true
+ *       },
+ *       "exports": {
+ *         "json": "packages/design-system/src/tokens.json",
+ *         "ts": "packages/design-system/src/tokens.ts",
+ *         "tailwind": "packages/design-system/tailwind.tokens.js"
+ *       }
+ *     }
+ *   ]
+ * }
+ * ```
+ * `owner` and `repo` default to GITHUB_OWNER and GITHUB_REPO, `baseBranch` to
+ * BASE_BRANCH (or, when that is unset too, the repository's default branch), `maxBranchBehind`
+ * to BOT_BRANCH_MAX_BEHIND (else 50),
+ * `themes` (theme blocks besides `:root`) to THEME_SELECTORS (else ".dark-theme"),
+ * `blocks` to @theme, :root and every theme, `removalPolicy` to REMOVAL_POLICY (else "keep"),
+ * `usageScan` to TOKEN_USAGE_SCAN (else "warn"), `humanEditPolicy` to HUMAN_EDIT_POLICY
+ * (else "keep") and `debounceSeconds` to DEBOUNCE_SECONDS (else 0). `contrast` defaults to CONTRAST_PAIRS,
+ * CONTRAST_LEVEL (else "AA") and CONTRAST_BLOCK.
+ * `exports` is optional: generated files committed alongside the CSS. Without
+ * TARGETS_FILE, a single "default" target is built from GITHUB_OWNER, GITHUB_REPO,
+ * TARGET_FILE_PATH, BOT_BRANCH, BASE_BRANCH and the EXPORT_*_PATH variables.
+ * @returns {Array<{id: string, owner: string, repo: string, path: string, baseBranch: string | null, botBranch: string, maxBranchBehind: number, themes: Array<string>, blocks: Array<string>, removalPolicy: string, usageScan: string, debounceSeconds: number, humanEditPolicy: string, contrast: {pairs: Array<object>, level: string, block: boolean}, exports: {json?: string, ts?: string, tailwind?: string}}>}
+ */
+export function loadSyncTargets() {
+  if (!process.env.TARGETS_FILE) {
+    return [
+      normalizeTarget({
+        id: 'default',
+        path: process.env.TARGET_FILE_PATH,
+        botBranch: process.env.BOT_BRANCH,
+        exports: {
+          json: process.env.EXPORT_JSON_PATH,
+          ts: process.env.EXPORT_TS_PATH,
+          tailwind: process.env.EXPORT_TAILWIND_PATH,
+        },
+      }, 'environment'),
+    ];
+  }
+
+  const config = JSON.parse(fs.readFileSync(process.env.TARGETS_FILE, 'utf-8'));
+  const targets = Array.isArray(config) ? config : config.targets;
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error(`${process.env.TARGETS_FILE} must list at least one target`);
+  }
+
+  const normalized = targets.map(target => normalizeTarget(target, process.env.TARGETS_FILE));
+
+  const ids = normalized.map(target => target.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate target id in ${process.env.TARGETS_FILE}: ${duplicate}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Apply defaults to a target and check it is complete
+ * @param {object} target - Raw target config
+ * @param {string} source - Where the target came from (for error messages)
+ * @returns {object}
+ */
+function normalizeTarget(target, source) {
+  const themes = (target.themes || splitSelectorList(process.env.THEME_SELECTORS || '.dark-theme')).map(normalizeSelector);
+  const selectors = ['@theme', ':root', ...themes];
+
+  const normalized = {
+    id: target.id || target.path,
+    owner: target.owner || process.env.GITHUB_OWNER,
+    repo: target.repo || process.env.GITHUB_REPO,
+    path: target.path,
+    baseBranch: target.baseBranch || process.env.BASE_BRANCH || null,
+    botBranch: target.botBranch,
+    maxBranchBehind: Number(target.maxBranchBehind ?? (process.env.BOT_BRANCH_MAX_BEHIND || 50)),
+    themes,
+    blocks: (target.blocks || selectors).map(normalizeSelector),
+    removalPolicy: target.removalPolicy || process.env.REMOVAL_POLICY || 'keep',
+    usageScan: target.usageScan || process.env.TOKEN_USAGE_SCAN || 'warn',
+    humanEditPolicy: target.humanEditPolicy || process.env.HUMAN_EDIT_POLICY || 'keep',
+    debounceSeconds: Number(target.debounceSeconds ?? process.env.DEBOUNCE_SECONDS ?? 0),
+    contrast: {
+      pairs: (target.contrast?.pairs || [process.env.CONTRAST_PAIRS || '']).flatMap(
+        pair => (typeof pair === 'string' ? parseContrastPairs(pair) : [pair])
+      ),
+      level: target.contrast?.level || process.env.CONTRAST_LEVEL || 'AA',
+      block: target.contrast?.block ?? process.env.CONTRAST_BLOCK === 'true',
+    },
+    exports: target.exports || {},
+  };
+
+  const missing = ['owner', 'repo', 'path', 'botBranch'].filter(field => !normalized[field]);
+  if (missing.length > 0) {
+    throw new Error(`Target "${normalized.id || '?'}" from ${source} is missing: ${missing.join(', ')}`);
+  }
+
+  if (themes.length === 0 || themes.some(theme => !theme || theme === '@theme' || theme === ':root')) {
+    throw new Error(`Target "${normalized.id}" from ${source} has invalid themes (@theme and :root are always part of the section): ${themes.join(', ')}`);
+  }
+
+  const unknownBlocks = normalized.blocks.filter(block => !selectors.includes(block));
+  if (normalized.blocks.length === 0 || unknownBlocks.length > 0) {
+    throw new Error(
+      `Target "${normalized.id}" from ${source} has invalid blocks (expected some of ${selectors.join(', ')}): ${unknownBlocks.join(', ')}`
+    );
+  }
+
+  if (!REMOVAL_POLICIES.includes(normalized.removalPolicy)) {
+    throw new Error(
+      `Target "${normalized.id}" from ${source} has an unknown removal policy (expected ${REMOVAL_POLICIES.join(', ')}): ${normalized.removalPolicy}`
+    );
+  }
+
+  if (!['off', 'warn', 'strict'].includes(normalized.usageScan)) {
+    throw new Error(`Target "${normalized.id}" from ${source} has an unknown usage scan mode (expected off, warn or strict): ${normalized.usageScan}`);
+  }
+
+  if (!Number.isInteger(normalized.maxBranchBehind) || normalized.maxBranchBehind < 0) {
+    throw new Error(`Target "${normalized.id}" from ${source} has an invalid maxBranchBehind (expected a number of commits >= 0): ${normalized.maxBranchBehind}`);
+  }
+
+  if (!HUMAN_EDIT_POLICIES.includes(normalized.humanEditPolicy)) {
+    throw new Error(
+      `Target "${normalized.id}" from ${source} has an unknown hand edit policy (expected ${HUMAN_EDIT_POLICIES.join(', ')}): ${normalized.humanEditPolicy}`
+    );
+  }
+
+  if (!Number.isFinite(normalized.debounceSeconds) || normalized.debounceSeconds < 0) {
+    throw new Error(`Target "${normalized.id}" from ${source} has an invalid debounce window (expected seconds >= 0): ${target.debounceSeconds ?? process.env.DEBOUNCE_SECONDS}`);
+  }
+
+  const invalidPair = normalized.contrast.pairs.find(
+    pair => typeof pair?.foreground !== 'string' || !pair.foreground.startsWith('--')
+      || typeof pair.background !== 'string' || !pair.background.startsWith('--')
+  );
+  if (invalidPair) {
+    throw new Error(`Target "${normalized.id}" from ${source} has an invalid contrast pair (expected --foreground and --background tokens): ${JSON.stringify(invalidPair)}`);
+  }
+
+  if (!['AA', 'AAA'].includes(normalized.contrast.level)) {
+    throw new Error(`Target "${normalized.id}" from ${source} has an unknown contrast level (expected AA or AAA): ${normalized.contrast.level}`);
+  }
+
+  const unknownExports = Object.keys(normalized.exports).filter(format => !['json', 'ts', 'tailwind'].includes(format));
+  if (unknownExports.length > 0) {
+    throw new Error(`Target "${normalized.id}" from ${source} has unknown export format(s): ${unknownExports.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Split a comma-separated list of selectors, leaving commas inside parentheses,
+ * brackets and quotes alone (e.g. `[data-theme="a,b"], .dark-theme`)
+ * @param {string} list
+ * @returns {Array<string>}
+ */
+function splitSelectorList(list) {
+  const selectors = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of list) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      selectors.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  selectors.push(current);
+
+  return selectors.map(selector => selector.trim()).filter(Boolean);
+}
@@ -0,0 +1,192 @@
+import { TOKEN_BLOCK_SELECTORS, extractTokenValues } from './css-parser.js';
+
+/**
+ * Check a token section for consistency problems:
+ * - theme-mismatch: a semantic token defined in `:root` but not in another theme
+ *   block (e.g. `.dark-theme`, `@media (prefers-color-scheme: dark)`), or the other way round
+ * - unknown-reference: a `var()` to a token that is not defined in `@theme` (or in a
+ *   semantic block visible from where it is used)
+ * - alias-cycle: tokens referencing each other in a loop
+ *
+ * References resolve the way the cascade does: a token in `.dark-theme` sees the
+ * block's own tokens first, then `:root`, then `@theme`.
+ * @param {string} sectionContent - Token section
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {Array<{type: string, selector: string, token: string, message: string}>}
+ */
+export function analyzeTokenSection(sectionContent, selectors = TOKEN_BLOCK_SELECTORS) {
+  const blocks = extractTokenValues(sectionContent, selectors);
+
+  return [
+    ...findThemeMismatches(blocks),
+    ...findUnknownReferences(blocks),
+    ...findAliasCycles(blocks),
+  ];
+}
+
+/**
+ * Render analysis findings as Markdown, for PR bodies
+ * @param {Array<{message: string}>} findings
+ * @returns {string}
+ */
+export function renderAnalysisMarkdown(findings) {
+  if (findings.length === 0) {
+    return '_No problems found._';
+  }
+  return findings.map(finding => `- ⚠️ ${finding.message}`).join('\n');
+}
+
+/**
+ * Semantic tokens defined in only one of `:root` and another theme block
+ * @param {Map<string, Map<string, string>>} blocks
+ * @returns {Array<object>}
+ */
+function findThemeMismatches(blocks) {
+  const light = blocks.get(':root');
+  if (!light) {
+    return [];
+  }
+
+  const findings = [];
+  for (const [selector, tokens] of blocks) {
+    if (selector === ':root' || selector === '@theme') {
+      continue;
+    }
+
+    for (const name of light.keys()) {
+      if (!tokens.has(name)) {
+        findings.push({
+          type: 'theme-mismatch',
+          selector,
+          token: name,
+          message: `${name} is defined in :root but not in ${selector}`,
+        });
+      }
+    }
+    for (const name of tokens.keys()) {
+      if (!light.has(name)) {
+        findings.push({
+          type: 'theme-mismatch',
+          selector,
+          token: name,
+          message: `${name} is defined in ${selector} but not in :root`,
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * `var()` references to tokens that are not defined anywhere visible
+ * @param {Map<string, Map<string, string>>} blocks
+ * @returns {Array<object>}
+ */
+function findUnknownReferences(blocks) {
+  // Without @theme (e.g. a target that only syncs semantic blocks) primitives
+  // live elsewhere, so references cannot be checked
+  if (!blocks.has('@theme')) {
+    return [];
+  }
+
+  const findings = [];
+  for (const [selector, tokens] of blocks) {
+    for (const [name, value] of tokens) {
+      for (const reference of referencesIn(value)) {
+        if (!resolveReference(blocks, selector, reference)) {
+          findings.push({
+            type: 'unknown-reference',
+            selector,
+            token: name,
+            reference,
+            message: `${selector} ${name} references ${reference}, which is not defined in @theme`,
+          });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Loops in alias chains, each reported once
+ * @param {Map<string, Map<string, string>>} blocks
+ * @returns {Array<object>}
+ */
+function findAliasCycles(blocks) {
+  const findings = [];
+  const reported = new Set();
+
+  for (const [selector, tokens] of blocks) {
+    for (const name of tokens.keys()) {
+      const cycle = findCycle(blocks, { selector, name }, []);
+      if (!cycle) {
+        continue;
+      }
+
+      // The same loop is found from each of its members: report it once
+      const key = cycle.slice(0, -1).map(node => `${node.selector} ${node.name}`).sort().join('|');
+      if (reported.has(key)) {
+        continue;
+      }
+      reported.add(key);
+
+      findings.push({
+        type: 'alias-cycle',
+        selector,
+        token: name,
+        cycle: cycle.map(node => node.name),
+        message: `Alias cycle in ${selector}: ${cycle.map(node => node.name).join(' → ')}`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Follow the references of a token depth-first until a token repeats
+ * @param {Map<string, Map<string, string>>} blocks
+ * @param {{selector: string, name: string}} node - Token to start from
+ * @param {Array<{selector: string, name: string}>} path - Tokens visited so far
+ * @returns {Array<{selector: string, name: string}> | null} The loop, ending with its first token again
+ */
+function findCycle(blocks, node, path) {
+  const start = path.findIndex(visited => visited.selector === node.selector && visited.name === node.name);
+  if (start !== -1) {
+    return start === 0 ? [...path, node] : null;
+  }
+
+  const value = blocks.get(node.selector).get(node.name);
+  for (const reference of referencesIn(value)) {
+    const target = resolveReference(blocks, node.selector, reference);
+    if (target) {
+      const cycle = findCycle(blocks, target, [...path, node]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the block a reference resolves to from a given block
+ * @param {Map<string, Map<string, string>>} blocks
+ * @param {string} selector - Block the reference is used in
+ * @param {string} name - Referenced token
+ * @returns {{selector: string, name: string} | null}
+ */
+function resolveReference(blocks, selector, name) {
+  const scopes = [...new Set([selector, ':root', '@theme'])];
+  const scope = scopes.find(candidate => blocks.get(candidate)?.has(name));
+  return scope ? { selector: scope, name } : null;
+}
+
+/**
+ * Token names referenced with `var()` in a value
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function referencesIn(value) {
+  return [...value.matchAll(/var\(\s*(--[\w-]+)/g)].map(match => match[1]);
+}
@@ -0,0 +1,104 @@
+import { TOKEN_BLOCK_SELECTORS, extractTokenValues } from './css-parser.js';
+
+/**
+ * Compute a semantic diff between two token sections, grouped by block
+ * @param {string} oldSectionContent - Token section before the update
+ * @param {string} newSectionContent - Token section after the update
+ * @param {Array<string>} [selectors] - Token block selectors, in section order
+ * @returns {Array<{selector: string, added: Array<{name: string, value: string}>, removed: Array<{name: string, value: string}>, changed: Array<{name: string, oldValue: string, newValue: string}>}>}
+ *   One entry per block with changes, in token section order
+ */
+export function diffTokenSections(oldSectionContent, newSectionContent, selectors = TOKEN_BLOCK_SELECTORS) {
+  const oldBlocks = extractTokenValues(oldSectionContent, selectors);
+  const newBlocks = extractTokenValues(newSectionContent, selectors);
+
+  const rank = selector => {
+    const index = selectors.indexOf(selector);
+    return index === -1 ? selectors.length : index;
+  };
+  const changedSelectors = [...new Set([...oldBlocks.keys(), ...newBlocks.keys()])].sort(
+    (a, b) => rank(a) - rank(b)
+  );
+
+  const diff = [];
+
+  for (const selector of changedSelectors) {
+    const oldTokens = oldBlocks.get(selector) || new Map();
+    const newTokens = newBlocks.get(selector) || new Map();
+
+    const entry = { selector, added: [], removed: [], changed: [] };
+
+    for (const [name, value] of newTokens) {
+      if (!oldTokens.has(name)) {
+        entry.added.push({ name, value });
+      } else if (oldTokens.get(name) !== value) {
+        entry.changed.push({ name, oldValue: oldTokens.get(name), newValue: value });
+      }
+    }
+
+    for (const [name, value] of oldTokens) {
+      if (!newTokens.has(name)) {
+        entry.removed.push({ name, value });
+      }
+    }
+
+    if (entry.added.length + entry.removed.length + entry.changed.length > 0) {
+      diff.push(entry);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Count the changes in a token diff
+ * @param {Array<object>} diff - Result of diffTokenSections
+ * @returns {{added: number, removed: number, changed: number}}
+ */
+export function summarizeTokenDiff(diff) {
+  return diff.reduce(
+    (totals, entry) => ({
+      added: totals.added + entry.added.length,
+      removed: totals.removed + entry.removed.length,
+      changed: totals.changed + entry.changed.length,
+    }),
+    { added: 0, removed: 0, changed: 0 }
+  );
+}
+
+/**
+ * Render a token diff as Markdown (one table per block), for PR bodies
+ * @param {Array<object>} diff - Result of diffTokenSections
+ * @returns {string}
+ */
+export function renderTokenDiffMarkdown(diff) {
+  if (diff.length === 0) {
+    return '_No token changes._';
+  }
+
+  const { added, removed, changed } = summarizeTokenDiff(diff);
+  const sections = [`**${changed} changed, ${added} added, ${removed} removed**`];
+
+  for (const entry of diff) {
+    const rows = [
+      ...entry.changed.map(token => `| \`${token.name}\` | Changed | ${code(token.oldValue)} | ${code(token.newValue)} |`),
+      ...entry.added.map(token => `| \`${token.name}\` | Added | | ${code(token.value)} |`),
+      ...entry.removed.map(token => `| \`${token.name}\` | Removed | ${code(token.value)} | |`),
+    ];
+
+    sections.push(
+      [`### \`${entry.selector}\``, '', '| Token | Change | Old value | New value |', '| --- | --- | --- | --- |', ...rows].join('\n')
+    );
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Format a CSS value as inline code that is safe inside a Markdown table cell
+ * @param {string} value
+ * @returns {string}
+ */
+function code(value) {
+  return `\`${value.replace(/\s+/g, ' ').replace(/\|/g, '\\|')}\``;
+}
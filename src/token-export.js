@@ -0,0 +1,162 @@
+import { TOKEN_BLOCK_SELECTORS, extractDesignTokenSection, extractTokenValues } from './css-parser.js';
+
+const GENERATED_HEADER = 'Generated by comfy-design-token-server from the design token CSS. Do not edit by hand.';
+
+/**
+ * Tailwind theme keys for @theme token namespaces (e.g. --color-* → colors)
+ */
+const TAILWIND_NAMESPACES = [
+  ['--color-', 'colors'],
+  ['--font-weight-', 'fontWeight'],
+  ['--font-', 'fontFamily'],
+  ['--text-', 'fontSize'],
+  ['--leading-', 'lineHeight'],
+  ['--tracking-', 'letterSpacing'],
+  ['--radius-', 'borderRadius'],
+  ['--shadow-', 'boxShadow'],
+  ['--spacing-', 'spacing'],
+  ['--breakpoint-', 'screens'],
+  ['--ease-', 'transitionTimingFunction'],
+  ['--animate-', 'animation'],
+];
+
+/**
+ * Read the tokens of the design token section in a stylesheet
+ * @param {string} css - Full CSS content
+ * @param {Array<string>} [selectors] - Token blocks of the section
+ * @param {object} [options]
+ * @param {Array<string>} [options.required] - Blocks the section must have (default: @theme and :root;
+ *   theme blocks are optional)
+ * @returns {Array<{selector: string, tokens: Array<{name: string, value: string}>}>}
+ */
+export function readSectionTokens(css, selectors, { required } = {}) {
+  required = required || (selectors || TOKEN_BLOCK_SELECTORS).filter(selector => selector === '@theme' || selector === ':root');
+  const section = extractDesignTokenSection(css, selectors, { required });
+  if (!section) {
+    throw new Error('Cannot export tokens: no complete token section found');
+  }
+
+  // A selector may appear in several blocks: later declarations win, as in the cascade
+  return [...extractTokenValues(section.content, selectors)].map(([selector, tokens]) => ({
+    selector,
+    tokens: [...tokens].map(([name, value]) => ({ name, value })),
+  }));
+}
+
+/**
+ * Generate tokens.json: token values keyed by block selector
+ * @param {Array<{selector: string, tokens: Array<{name: string, value: string}>}>} blocks
+ * @returns {string}
+ */
+export function generateTokensJSON(blocks) {
+  const document = { $comment: GENERATED_HEADER };
+  for (const block of blocks) {
+    document[block.selector] = Object.fromEntries(block.tokens.map(token => [token.name, token.value]));
+  }
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Generate tokens.ts: typed constants per block and a union type of token names
+ * @param {Array<{selector: string, tokens: Array<{name: string, value: string}>}>} blocks
+ * @returns {string}
+ */
+export function generateTokensTS(blocks) {
+  const names = [...new Set(blocks.flatMap(block => block.tokens.map(token => token.name)))];
+
+  const constants = blocks.map(block => {
+    const entries = block.tokens.map(token => `  ${JSON.stringify(token.name)}: ${JSON.stringify(token.value)},`);
+    return `/** Tokens from \`${block.selector}\` */\nexport const ${constantName(block.selector)} = {\n${entries.join('\n')}\n} as const;`;
+  });
+
+  return [
+    `// ${GENERATED_HEADER}`,
+    '',
+    ...constants.flatMap(constant => [constant, '']),
+    '/** Name of any design token */',
+    `export type TokenName =\n${names.map(name => `  | ${JSON.stringify(name)}`).join('\n') || '  never'};`,
+    '',
+    '/** All design token names */',
+    `export const tokenNames: readonly TokenName[] = [\n${names.map(name => `  ${JSON.stringify(name)},`).join('\n')}\n];`,
+    '',
+    '/** Reference a design token as a CSS value */',
+    'export function cssVar(name: TokenName): string {',
+    '  return `var(${name})`;',
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Generate a Tailwind theme extension from the @theme tokens. Values reference the
+ * CSS variables, so theme switching keeps working.
+ * @param {Array<{selector: string, tokens: Array<{name: string, value: string}>}>} blocks
+ * @returns {string}
+ */
+export function generateTailwindTheme(blocks) {
+  const extend = {};
+  const themeBlock = blocks.find(block => block.selector === '@theme');
+
+  for (const token of themeBlock ? themeBlock.tokens : []) {
+    const namespace = TAILWIND_NAMESPACES.find(([prefix]) => token.name.startsWith(prefix));
+    if (!namespace) {
+      continue;
+    }
+    const [prefix, key] = namespace;
+    extend[key] = extend[key] || {};
+    extend[key][token.name.slice(prefix.length)] = `var(${token.name})`;
+  }
+
+  return [
+    `// ${GENERATED_HEADER}`,
+    '',
+    '/** @type {import(\'tailwindcss\').Config[\'theme\']} */',
+    `export default ${JSON.stringify({ extend }, null, 2)};`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build the export files configured for a target from its merged CSS
+ * @param {string} css - Merged CSS
+ * @param {{json?: string, ts?: string, tailwind?: string}} exportPaths - Target path per format
+ * @param {Array<string>} [selectors] - Token blocks of the section
+ * @param {object} [options]
+ * @param {Array<string>} [options.required] - Blocks the section must have (see readSectionTokens)
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function buildTokenExports(css, exportPaths, selectors, { required } = {}) {
+  const generators = {
+    json: generateTokensJSON,
+    ts: generateTokensTS,
+    tailwind: generateTailwindTheme,
+  };
+
+  const formats = Object.keys(exportPaths || {}).filter(format => exportPaths[format]);
+  if (formats.length === 0) {
+    return [];
+  }
+
+  const unknown = formats.filter(format => !generators[format]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown token export format(s): ${unknown.join(', ')} (expected json, ts or tailwind)`);
+  }
+
+  const blocks = readSectionTokens(css, selectors, { required });
+  return formats.map(format => ({ path: exportPaths[format], content: generators[format](blocks) }));
+}
+
+/**
+ * Name of the TypeScript constant holding a block's tokens
+ * @param {string} selector - e.g. ".dark-theme"
+ * @returns {string} e.g. "darkTokens"
+ */
+function constantName(selector) {
+  const knownNames = { '@theme': 'themeTokens', ':root': 'lightTokens', '.dark-theme': 'darkTokens' };
+  if (knownNames[selector]) {
+    return knownNames[selector];
+  }
+
+  const words = selector.match(/[a-zA-Z0-9]+/g) || ['block'];
+  return `${words.map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1))).join('')}Tokens`;
+}
@@ -0,0 +1,694 @@
+import {
+  TOKEN_BLOCK_SELECTORS,
+  extractDesignTokenSection,
+  extractTokenBlocks,
+  extractTokenValues,
+  getNodeSelector,
+  parseCSS,
+  replaceLines,
+} from './css-parser.js';
+
+/**
+ * Merge the design token section deterministically, without calling an LLM.
+ *
+ * Existing token values are replaced in place and new tokens are inserted next to
+ * their neighbours from the new section. Everything else in the old section
+ * (comments, whitespace, ordering) is left byte-for-byte untouched. A selector may
+ * have several blocks; a token is updated wherever it is declared.
+ * @param {string} oldTokenSection - Current token section from GitHub
+ * @param {string} newTokenSection - New token section from Figma
+ * @param {Array<string>} [selectors] - Token block selectors, in section order
+ * @returns {{content: string, updated: Array<{selector: string, name: string, oldValue: string, newValue: string}>, added: Array<{selector: string, name: string, value: string}>}}
+ */
+export function mergeTokenSectionDeterministic(oldTokenSection, newTokenSection, selectors = TOKEN_BLOCK_SELECTORS) {
+  const oldBlocks = extractTokenBlocks(oldTokenSection, selectors);
+  const newBlocks = extractTokenBlocks(newTokenSection, selectors);
+
+  const edits = [];
+  const updated = [];
+  const added = [];
+
+  // In section order, so that several new blocks after the same one keep that order
+  for (const selector of selectors.filter(candidate => newBlocks.some(block => block.selector === candidate))) {
+    const newGroup = newBlocks.filter(block => block.selector === selector);
+    const oldGroup = oldBlocks.filter(block => block.selector === selector);
+
+    if (oldGroup.length === 0) {
+      // Whole block is new: put it next to the blocks it follows in the section order
+      const text = newGroup.map(block => newTokenSection.slice(block.start, block.end)).join('\n\n');
+      edits.push(blockInsertionFor(oldTokenSection, oldBlocks, selectors, selector, text));
+      for (const declaration of newGroup.flatMap(block => block.declarations)) {
+        added.push({ selector, name: declaration.name, value: declaration.value });
+      }
+      continue;
+    }
+
+    // Old declarations by name, each knowing its block (the last one wins for duplicates)
+    const oldByName = new Map();
+    for (const block of oldGroup) {
+      for (const declaration of block.declarations) {
+        oldByName.set(declaration.name, [...(oldByName.get(declaration.name) || []), { ...declaration, block }]);
+      }
+    }
+
+    const newDeclarations = newGroup.flatMap(block => block.declarations);
+    newDeclarations.forEach((declaration, index) => {
+      const existing = oldByName.get(declaration.name);
+
+      if (existing) {
+        for (const occurrence of existing.filter(candidate => candidate.value !== declaration.value)) {
+          edits.push({ start: occurrence.valueStart, end: occurrence.valueEnd, text: declaration.value });
+          updated.push({
+            selector,
+            name: declaration.name,
+            oldValue: occurrence.value,
+            newValue: declaration.value,
+          });
+        }
+        return;
+      }
+
+      edits.push(insertionFor(oldTokenSection, oldGroup[oldGroup.length - 1], oldByName, newDeclarations, index));
+      added.push({ selector, name: declaration.name, value: declaration.value });
+    });
+  }
+
+  return {
+    content: applyEdits(oldTokenSection, edits),
+    updated,
+    added,
+  };
+}
+
+/**
+ * Work out where a block for a selector the old section doesn't have goes: after the
+ * last block of the closest selector before it in the section order, else before the
+ * first block of the closest selector after it, else at the end of the section
+ * @param {string} css - Old token section
+ * @param {Array<object>} oldBlocks - Blocks from extractTokenBlocks
+ * @param {Array<string>} selectors - Token block selectors, in section order
+ * @param {string} selector - Selector of the new block
+ * @param {string} text - The new block
+ * @returns {{start: number, end: number, text: string}}
+ */
+function blockInsertionFor(css, oldBlocks, selectors, selector, text) {
+  const index = selectors.indexOf(selector);
+
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = oldBlocks.filter(block => block.selector === selectors[i]).pop();
+    if (previous) {
+      return { start: previous.end, end: previous.end, text: `\n\n${text}` };
+    }
+  }
+
+  for (let i = index + 1; i < selectors.length; i++) {
+    const next = oldBlocks.find(block => block.selector === selectors[i]);
+    if (next) {
+      return { start: next.start, end: next.start, text: `${text}\n\n` };
+    }
+  }
+
+  return { start: css.length, end: css.length, text: `\n\n${text}` };
+}
+
+/**
+ * Combine two Figma exports into one, for submissions that arrive in quick
+ * succession: every token takes its value from the newer export, and tokens only
+ * the older one has are kept. A token deleted between the two exports is kept too;
+ * removal markers (`/* REMOVED *\/`) are values like any other, so the newer one wins.
+ *
+ * The result is the older CSS with the newer values merged into its token section
+ * (see mergeTokenSectionDeterministic). Component tokens are combined apart from
+ * the rest, the newer export deciding a token's tier, and are written at the end of
+ * their block with a trailing `/* UPDATE ONLY IF EXISTS *\/`, so they keep their
+ * tier wherever they came from. When either export has no token section there is
+ * nothing to combine and the newer one is returned as is.
+ * @param {string} olderCSS
+ * @param {string} newerCSS
+ * @param {Array<string>} [selectors] - Token block selectors, in section order
+ * @returns {string}
+ */
+export function coalesceTokenCSS(olderCSS, newerCSS, selectors = TOKEN_BLOCK_SELECTORS) {
+  let olderSection;
+  let newerSection;
+  try {
+    olderSection = extractDesignTokenSection(olderCSS, selectors, { required: [] });
+    newerSection = extractDesignTokenSection(newerCSS, selectors, { required: [] });
+  } catch (error) {
+    // Unparseable exports fail later, in the sync itself
+    return newerCSS;
+  }
+
+  if (!olderSection || !newerSection) {
+    return newerCSS;
+  }
+
+  const older = extractComponentTokens(olderSection.content, selectors);
+  const newer = extractComponentTokens(newerSection.content, selectors);
+  const isNewer = token => newer.tiers.some(tier => tier.selector === token.selector && tier.name === token.name);
+  const components = [...newer.components, ...older.components.filter(component => !isNewer(component))];
+
+  const { content } = mergeTokenSectionDeterministic(
+    stripComponentHeadings(older.content, selectors),
+    stripComponentHeadings(newer.content, selectors),
+    selectors
+  );
+  // Tokens the older export had in another tier are component tokens now
+  const { content: withoutComponents } = pinTokenValues(content, newer.components.map(component => ({ ...component, value: null })), selectors);
+  const coalesced = appendComponentTokens(withoutComponents, components, selectors);
+  return replaceLines(olderCSS, olderSection.startLine, olderSection.endLine, coalesced);
+}
+
+/**
+ * Delete the comment lines that open a component tier in a section whose component
+ * tokens were taken out, so that tokens merged in later don't fall under them
+ * @param {string} tokenSection - Section without component tokens (from extractComponentTokens)
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {string}
+ */
+function stripComponentHeadings(tokenSection, selectors = TOKEN_BLOCK_SELECTORS) {
+  const edits = [];
+
+  for (const block of extractTokenBlocks(tokenSection, selectors)) {
+    for (const comment of block.comments) {
+      const text = tokenSection.slice(comment.start, comment.end);
+      const tier = text.match(TIER_COMMENT);
+      if ((tier ? (tier[1] || tier[2]).toLowerCase() === 'component' : UPDATE_ONLY_IF_EXISTS.test(text))
+        && !sharesLineWithDeclaration(tokenSection, block, comment)) {
+        edits.push(removalFor(tokenSection, comment));
+      }
+    }
+  }
+
+  return applyEdits(tokenSection, edits);
+}
+
+/**
+ * Add component tokens at the end of their blocks, each marked with a trailing
+ * `/* UPDATE ONLY IF EXISTS *\/`. Their blocks must be in the section (the
+ * section they were extracted from keeps its blocks, even emptied).
+ * @param {string} tokenSection
+ * @param {Array<{selector: string, name: string, value: string}>} components - From extractComponentTokens
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {string}
+ */
+function appendComponentTokens(tokenSection, components, selectors = TOKEN_BLOCK_SELECTORS) {
+  const blocks = extractTokenBlocks(tokenSection, selectors);
+  const edits = [];
+
+  for (const selector of selectors) {
+    const block = blocks.filter(candidate => candidate.selector === selector).pop();
+    const declarations = components.filter(component => component.selector === selector);
+    if (!block || declarations.length === 0) {
+      continue;
+    }
+
+    const indent = block.declarations.length > 0 ? indentOf(tokenSection, block.declarations[0].start) : '  ';
+    const text = declarations.map(({ name, value }) => `${indent}${name}: ${value}; /* UPDATE ONLY IF EXISTS */\n`).join('');
+    const lineStart = tokenSection.lastIndexOf('\n', block.closeBrace - 1) + 1;
+    edits.push(lineStart > block.openBrace && tokenSection.slice(lineStart, block.closeBrace).trim() === ''
+      ? { start: lineStart, end: lineStart, text }
+      : { start: block.closeBrace, end: block.closeBrace, text: `\n${text}` });
+  }
+
+  return applyEdits(tokenSection, edits);
+}
+
+/**
+ * How tokens that were removed in Figma are handled:
+ * - keep: leave them in the CSS unchanged
+ * - remove: delete the declaration
+ * - deprecate: keep the declaration under a DEPRECATED comment, pointing it at its
+ *   replacement when one is given
+ */
+export const REMOVAL_POLICIES = ['keep', 'remove', 'deprecate'];
+
+const REMOVAL_MARKER = /^\/\*\s*REMOVED(?:\s*:\s*(?:use\s+)?(--[\w-]+))?\s*\*\/$/i;
+const DEPRECATION_COMMENT = /\/\*\s*DEPRECATED\b(?:(?!\*\/)[\s\S])*\*\/[ \t]*\n?[ \t]*$/;
+
+/**
+ * Strip removal markers from an incoming token section. A token is declared removed
+ * with `--name: /* REMOVED *\/;`, or `--name: /* REMOVED: use --replacement *\/;`
+ * to name the token that replaces it.
+ * @param {string} tokenSection - Token section from Figma
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {{content: string, markers: Array<{selector: string, name: string, replacement: string | null}>}}
+ */
+export function extractRemovalMarkers(tokenSection, selectors = TOKEN_BLOCK_SELECTORS) {
+  const edits = [];
+  const markers = [];
+
+  for (const block of extractTokenBlocks(tokenSection, selectors)) {
+    for (const declaration of block.declarations) {
+      const match = declaration.value.match(REMOVAL_MARKER);
+      if (match) {
+        markers.push({ selector: block.selector, name: declaration.name, replacement: match[1] || null });
+        edits.push(removalFor(tokenSection, declaration));
+      }
+    }
+  }
+
+  return { content: applyEdits(tokenSection, edits), markers };
+}
+
+/**
+ * Apply the removal policy to a merged token section.
+ *
+ * Removed tokens are the ones marked with a removal marker, plus (unless the policy
+ * is "keep") the ones missing from a block that Figma sent. A deprecated token that
+ * Figma sends again loses its DEPRECATED comment.
+ *
+ * With the "remove" policy, a token that tokens staying in the section still
+ * reference through `var()` (and that no other block declares) is deprecated
+ * instead, so no reference is left dangling; `referencedBy` lists the references.
+ * @param {string} mergedTokenSection - Token section after the merge
+ * @param {string} newTokenSection - Token section from Figma, without removal markers
+ * @param {object} options
+ * @param {'keep' | 'remove' | 'deprecate'} options.policy
+ * @param {Array<{selector: string, name: string, replacement: string | null}>} [options.markers] - From extractRemovalMarkers
+ * @param {Array<{selector: string, name: string}>} [options.protectedTokens] - Tokens that are never removed
+ *   (e.g. ones a reviewer edited on the bot branch)
+ * @param {Array<string>} [options.selectors] - Token block selectors
+ * @returns {{content: string, removed: Array<{selector: string, name: string, value: string, action: 'kept' | 'removed' | 'deprecated', replacement: string | null, referencedBy?: Array<string>}>}}
+ */
+export function applyTokenRemovals(mergedTokenSection, newTokenSection, { policy, markers = [], protectedTokens = [], selectors = TOKEN_BLOCK_SELECTORS }) {
+  if (!REMOVAL_POLICIES.includes(policy)) {
+    throw new Error(`Unknown removal policy: ${policy} (expected ${REMOVAL_POLICIES.join(', ')})`);
+  }
+
+  const newValues = extractTokenValues(newTokenSection, selectors);
+  const blocks = extractTokenBlocks(mergedTokenSection, selectors);
+  const edits = [];
+  const removed = [];
+  const removals = []; // Declarations the "remove" policy deletes, once references are checked
+
+  for (const block of blocks) {
+    const newBlock = newValues.has(block.selector);
+    const newNames = new Set(newBlock ? newValues.get(block.selector).keys() : []);
+
+    block.declarations.forEach((declaration, index) => {
+      const searchFrom = index > 0 ? block.declarations[index - 1].end : block.openBrace + 1;
+      const comment = deprecationCommentFor(mergedTokenSection, declaration, searchFrom);
+      const marker = markers.find(m => m.selector === block.selector && m.name === declaration.name);
+
+      if (!marker && newNames.has(declaration.name)) {
+        if (comment) {
+          // Figma sends the token again: it is no longer deprecated
+          edits.push(comment);
+        }
+        return;
+      }
+      if (!marker && (!newBlock || policy === 'keep')) {
+        return;
+      }
+      if (protectedTokens.some(token => token.selector === block.selector && token.name === declaration.name)) {
+        return;
+      }
+
+      const replacement = marker ? marker.replacement : null;
+      const entry = { selector: block.selector, name: declaration.name, value: declaration.value, replacement };
+
+      if (policy === 'keep') {
+        removed.push({ ...entry, action: 'kept' });
+      } else if (policy === 'remove') {
+        removals.push({ block, declaration, comment, entry });
+      } else if (!comment) {
+        edits.push(...deprecationFor(mergedTokenSection, declaration, replacement));
+        removed.push({ ...entry, action: 'deprecated' });
+      }
+    });
+  }
+
+  for (const removal of keepReferencedTokens(blocks, removals)) {
+    const { declaration, comment, entry, referencedBy } = removal;
+    if (referencedBy) {
+      if (!comment) {
+        edits.push(...deprecationFor(mergedTokenSection, declaration, entry.replacement));
+      }
+      removed.push({ ...entry, action: 'deprecated', referencedBy });
+      continue;
+    }
+
+    edits.push(removalFor(mergedTokenSection, declaration));
+    if (comment) {
+      edits.push(comment);
+    }
+    removed.push({ ...entry, action: 'removed' });
+  }
+
+  return { content: applyEdits(mergedTokenSection, edits), removed };
+}
+
+/**
+ * Find the removals that would leave `var()` references dangling: the token is
+ * declared nowhere else, and a declaration that stays references it. Such removals
+ * get `referencedBy` (the referencing tokens, as "selector name"). Keeping one may
+ * keep the tokens it references in turn.
+ * @param {Array<object>} blocks - Blocks of the section (from extractTokenBlocks)
+ * @param {Array<{block: object, declaration: object}>} removals
+ * @returns {Array<object>} The removals, with `referencedBy` on the ones to keep
+ */
+function keepReferencedTokens(blocks, removals) {
+  const declarations = blocks.flatMap(block => block.declarations.map(declaration => ({ block, declaration })));
+  const removing = new Set(removals.map(removal => removal.declaration));
+  const staying = declarations.filter(({ declaration }) => !removing.has(declaration));
+  const result = removals.map(removal => ({ ...removal }));
+
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const removal of result.filter(candidate => !candidate.referencedBy)) {
+      const name = removal.declaration.name;
+      if (staying.some(({ declaration }) => declaration.name === name)) {
+        continue;
+      }
+
+      const references = staying.filter(({ declaration }) => referencesToken(declaration.value, name));
+      if (references.length > 0) {
+        removal.referencedBy = references.map(({ block, declaration }) => `${block.selector} ${declaration.name}`);
+        staying.push(removal);
+        changed = true;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Whether a value references a token through `var()`
+ * @param {string} value
+ * @param {string} name - Token name
+ * @returns {boolean}
+ */
+export function referencesToken(value, name) {
+  return [...value.matchAll(/var\(\s*(--[\w-]+)/g)].some(match => match[1] === name);
+}
+
+/**
+ * Pin tokens of an incoming token section to given values: a pinned token takes
+ * the pinned value, and a token pinned to null (deleted on purpose) is stripped.
+ * Tokens the section does not declare are left alone.
+ * @param {string} tokenSection - Token section from Figma
+ * @param {Array<{selector: string, name: string, value: string | null}>} pins
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {{content: string, pinned: Array<{selector: string, name: string, value: string | null, incomingValue: string}>}}
+ *   The section, and the pins that changed it
+ */
+export function pinTokenValues(tokenSection, pins, selectors = TOKEN_BLOCK_SELECTORS) {
+  const edits = [];
+  const pinned = [];
+
+  for (const block of extractTokenBlocks(tokenSection, selectors)) {
+    for (const declaration of block.declarations) {
+      const pin = pins.find(candidate => candidate.selector === block.selector && candidate.name === declaration.name);
+      if (!pin || pin.value === declaration.value) {
+        continue;
+      }
+
+      edits.push(pin.value === null
+        ? removalFor(tokenSection, declaration)
+        : { start: declaration.valueStart, end: declaration.valueEnd, text: pin.value });
+      pinned.push({ selector: block.selector, name: declaration.name, value: pin.value, incomingValue: declaration.value });
+    }
+  }
+
+  return { content: applyEdits(tokenSection, edits), pinned };
+}
+
+/**
+ * Token tiers incoming CSS can declare. Component tokens are only updated where the
+ * target file already has them, never added.
+ */
+export const TOKEN_TIERS = ['primitive', 'semantic', 'component'];
+
+const UPDATE_ONLY_IF_EXISTS = /UPDATE\s+ONLY\s+IF\s+EXISTS/i;
+const TIER_COMMENT = /^\/\*\s*(?:@?tier\s*:?\s*(primitive|semantic|component)\b|(primitive|semantic|component)\s+tokens?\b)/i;
+
+/**
+ * Split the component tokens off an incoming token section
+ *
+ * A tier is declared with a comment line in a block: `/* Component tokens *\/`,
+ * `/* tier: semantic *\/` or `/* UPDATE ONLY IF EXISTS *\/` (component). It applies to
+ * the declarations below it, up to the next tier comment. A trailing
+ * `/* UPDATE ONLY IF EXISTS *\/` on a declaration's line marks that declaration only.
+ * Undeclared tokens are primitives in @theme and semantic elsewhere.
+ * @param {string} tokenSection - Token section from Figma
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {{content: string, tiers: Array<{selector: string, name: string, tier: string}>, components: Array<{selector: string, name: string, value: string}>}}
+ *   The section without its component tokens, the tier of every token, and the component tokens
+ */
+export function extractComponentTokens(tokenSection, selectors = TOKEN_BLOCK_SELECTORS) {
+  const edits = [];
+  const tiers = [];
+  const components = [];
+
+  for (const block of extractTokenBlocks(tokenSection, selectors)) {
+    const comments = block.comments.map(comment => ({ ...comment, text: tokenSection.slice(comment.start, comment.end) }));
+    let tier = block.selector === '@theme' ? 'primitive' : 'semantic';
+    let commentIndex = 0;
+
+    for (const declaration of block.declarations) {
+      // Tier comments above this declaration
+      for (; commentIndex < comments.length && comments[commentIndex].start < declaration.start; commentIndex++) {
+        const comment = comments[commentIndex];
+        const match = comment.text.match(TIER_COMMENT);
+        if (match) {
+          tier = (match[1] || match[2]).toLowerCase();
+        } else if (UPDATE_ONLY_IF_EXISTS.test(comment.text) && !sharesLineWithDeclaration(tokenSection, block, comment)) {
+          tier = 'component';
+        }
+      }
+
+      const trailing = comments.find(
+        comment => comment.start >= declaration.end && !tokenSection.slice(declaration.end, comment.start).includes('\n')
+      );
+      const declarationTier = trailing && UPDATE_ONLY_IF_EXISTS.test(trailing.text) ? 'component' : tier;
+
+      tiers.push({ selector: block.selector, name: declaration.name, tier: declarationTier });
+      if (declarationTier === 'component') {
+        components.push({ selector: block.selector, name: declaration.name, value: declaration.value });
+        edits.push(removalFor(tokenSection, trailing ? { ...declaration, end: trailing.end } : declaration));
+      }
+    }
+  }
+
+  return { content: applyEdits(tokenSection, edits), tiers, components };
+}
+
+/**
+ * Update component tokens wherever a stylesheet declares them, in token blocks or in
+ * any other rule, and report the ones it doesn't declare (they are dropped).
+ *
+ * An occurrence in a token block takes the value Figma sent for that block; any
+ * other occurrence takes the :root value (or the first one sent).
+ * @param {string} css - Full target stylesheet
+ * @param {Array<{selector: string, name: string, value: string}>} components - From extractComponentTokens
+ * @param {Array<string>} [selectors] - Token block selectors
+ * @returns {{content: string, components: Array<{name: string, action: 'updated' | 'unchanged' | 'dropped', occurrences: number}>}}
+ */
+export function applyComponentTokens(css, components, selectors = TOKEN_BLOCK_SELECTORS) {
+  const occurrences = new Map(); // name -> [{declaration, selector}]
+  collectDeclarations(parseCSS(css).children, null, selectors, (declaration, selector) => {
+    occurrences.set(declaration.prop, [...(occurrences.get(declaration.prop) || []), { declaration, selector }]);
+  });
+
+  const edits = [];
+  const report = [];
+
+  for (const name of new Set(components.map(component => component.name))) {
+    const values = components.filter(component => component.name === name);
+    const found = occurrences.get(name) || [];
+    let changed = 0;
+
+    for (const { declaration, selector } of found) {
+      const value = (values.find(candidate => candidate.selector === selector)
+        || values.find(candidate => candidate.selector === ':root')
+        || values[0]).value;
+      if (declaration.value !== value) {
+        edits.push({ start: declaration.valueStart, end: declaration.valueEnd, text: value });
+        changed++;
+      }
+    }
+
+    report.push({
+      name,
+      action: found.length === 0 ? 'dropped' : changed > 0 ? 'updated' : 'unchanged',
+      occurrences: found.length,
+    });
+  }
+
+  return { content: applyEdits(css, edits), components: report };
+}
+
+/**
+ * Edits that mark a declaration deprecated: a comment above it (or before it, when it
+ * shares its line), and its value pointed at the replacement token
+ * @param {string} css
+ * @param {object} declaration - Declaration from extractTokenBlocks
+ * @param {string | null} replacement - Name of the replacing token
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function deprecationFor(css, declaration, replacement) {
+  const text = `/* DEPRECATED: removed from Figma${replacement ? `, use ${replacement} instead` : ''} */`;
+  const lineStart = css.lastIndexOf('\n', declaration.start - 1) + 1;
+  const edits = css.slice(lineStart, declaration.start).trim() === ''
+    ? [{ start: lineStart, end: lineStart, text: `${indentOf(css, declaration.start)}${text}\n` }]
+    : [{ start: declaration.start, end: declaration.start, text: `${text} ` }];
+
+  if (replacement) {
+    edits.push({ start: declaration.valueStart, end: declaration.valueEnd, text: `var(${replacement})` });
+  }
+  return edits;
+}
+
+/**
+ * Find the DEPRECATED comment directly before a declaration
+ * @param {string} css
+ * @param {object} declaration - Declaration from extractTokenBlocks
+ * @param {number} searchFrom - End of the previous declaration (or the block's open brace)
+ * @returns {{start: number, end: number, text: string} | null} Edit that deletes the comment
+ */
+function deprecationCommentFor(css, declaration, searchFrom) {
+  const before = css.slice(searchFrom, declaration.start);
+  const match = before.match(DEPRECATION_COMMENT);
+  if (!match) {
+    return null;
+  }
+
+  const start = searchFrom + match.index;
+  const lineStart = css.lastIndexOf('\n', start - 1) + 1;
+  if (css.slice(lineStart, start).trim() === '' && match[0].includes('\n')) {
+    // Comment on its own line: drop the whole line
+    return { start: lineStart, end: searchFrom + match.index + match[0].lastIndexOf('\n') + 1, text: '' };
+  }
+  return { start, end: declaration.start, text: '' };
+}
+
+/**
+ * Edit that deletes a declaration, including its line when nothing else is on it
+ * @param {string} css
+ * @param {object} declaration - Declaration from extractTokenBlocks
+ * @returns {{start: number, end: number, text: string}}
+ */
+function removalFor(css, declaration) {
+  const lineStart = css.lastIndexOf('\n', declaration.start - 1) + 1;
+  const lineEnd = css.indexOf('\n', declaration.end);
+  const after = css.slice(declaration.end, lineEnd === -1 ? css.length : lineEnd);
+
+  if (css.slice(lineStart, declaration.start).trim() === '' && after.trim() === '') {
+    return { start: lineStart, end: lineEnd === -1 ? css.length : lineEnd + 1, text: '' };
+  }
+  return { start: declaration.start, end: declaration.end + after.match(/^[ \t]*/)[0].length, text: '' };
+}
+
+/**
+ * Whether a comment sits on the same line as a declaration of its block (after it)
+ * @param {string} css
+ * @param {object} block - Block from extractTokenBlocks
+ * @param {{start: number}} comment
+ * @returns {boolean}
+ */
+function sharesLineWithDeclaration(css, block, comment) {
+  return block.declarations.some(
+    declaration => declaration.end <= comment.start && !css.slice(declaration.end, comment.start).includes('\n')
+  );
+}
+
+/**
+ * Visit every custom property declaration of a stylesheet, with the token block
+ * selector it is in (null outside the token blocks)
+ * @param {Array<object>} nodes - Nodes from parseCSS
+ * @param {string | null} selector - Token block of the nodes
+ * @param {Array<string>} selectors - Token block selectors
+ * @param {(declaration: object, selector: string | null) => void} visit
+ */
+function collectDeclarations(nodes, selector, selectors, visit) {
+  for (const node of nodes) {
+    if (node.type === 'declaration' && node.prop.startsWith('--')) {
+      visit(node, selector);
+    } else if (node.children) {
+      const nodeSelector = selector === null && selectors.includes(getNodeSelector(node)) ? getNodeSelector(node) : selector;
+      collectDeclarations(node.children, nodeSelector, selectors, visit);
+    }
+  }
+}
+
+/**
+ * Work out where a new declaration goes in the old block: after the closest preceding
+ * neighbour that already exists, else before the closest following one, else at the
+ * end of the block.
+ * @param {string} css - Old token section
+ * @param {object} oldBlock - Block to add to when no neighbour exists (from extractTokenBlocks)
+ * @param {Map<string, Array<object>>} oldByName - Old declarations (with their `block`) by name
+ * @param {Array<object>} newDeclarations - Declarations of the matching new blocks
+ * @param {number} index - Index of the declaration to insert
+ * @returns {{start: number, end: number, text: string}}
+ */
+function insertionFor(css, oldBlock, oldByName, newDeclarations, index) {
+  const { name, value } = newDeclarations[index];
+
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = oldByName.get(newDeclarations[i].name)?.at(-1);
+    if (previous) {
+      const lineEnd = css.indexOf('\n', previous.end);
+      if (lineEnd === -1 || lineEnd > previous.block.closeBrace) {
+        // Declarations share a line with the closing brace: insert inline
+        return { start: previous.end, end: previous.end, text: ` ${name}: ${value};` };
+      }
+      return { start: lineEnd, end: lineEnd, text: `\n${indentOf(css, previous.start)}${name}: ${value};` };
+    }
+  }
+
+  for (let i = index + 1; i < newDeclarations.length; i++) {
+    const next = oldByName.get(newDeclarations[i].name)?.at(-1);
+    if (next) {
+      const lineStart = css.lastIndexOf('\n', next.start - 1) + 1;
+      if (lineStart <= next.block.openBrace) {
+        // Declarations share a line with the selector: insert inline
+        return { start: next.start, end: next.start, text: `${name}: ${value}; ` };
+      }
+      const indent = indentOf(css, next.start);
+      return { start: lineStart, end: lineStart, text: `${indent}${name}: ${value};\n` };
+    }
+  }
+
+  // Block has none of the neighbours: add before the closing brace
+  const lineStart = css.lastIndexOf('\n', oldBlock.closeBrace - 1) + 1;
+  const beforeBrace = css.slice(lineStart, oldBlock.closeBrace);
+  const indent = oldBlock.declarations.length > 0 ? indentOf(css, oldBlock.declarations[0].start) : '  ';
+
+  if (lineStart > oldBlock.openBrace && beforeBrace.trim() === '') {
+    return { start: lineStart, end: lineStart, text: `${indent}${name}: ${value};\n` };
+  }
+  const separator = /\s$/.test(beforeBrace) ? '' : ' ';
+  return { start: oldBlock.closeBrace, end: oldBlock.closeBrace, text: `${separator}${name}: ${value}; ` };
+}
+
+/**
+ * Get the leading whitespace of the line containing the given offset
+ * @param {string} css
+ * @param {number} offset
+ * @returns {string}
+ */
+function indentOf(css, offset) {
+  const lineStart = css.lastIndexOf('\n', offset - 1) + 1;
+  return css.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Apply non-overlapping text edits. Insertions at the same offset keep their order.
+ * @param {string} text
+ * @param {Array<{start: number, end: number, text: string}>} edits
+ * @returns {string}
+ */
+function applyEdits(text, edits) {
+  const ordered = edits
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => b.start - a.start || b.order - a.order);
+
+  let result = text;
+  for (const edit of ordered) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
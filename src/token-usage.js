@@ -0,0 +1,104 @@
+/**
+ * Find where design tokens are used in source files: `var(--token)` references,
+ * Tailwind v4 `(--token)` shorthands and Tailwind utility classes generated from
+ * @theme namespaces (e.g. `--color-blue-500` → `bg-blue-500`, `hover:text-blue-500/50`)
+ */
+
+/**
+ * File extensions that can reference tokens
+ */
+export const USAGE_SCAN_EXTENSIONS = [
+  '.css', '.scss', '.sass', '.less', '.vue', '.svelte', '.html',
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mdx',
+];
+
+/**
+ * Directories never worth scanning
+ */
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage', '.git'];
+
+/**
+ * Tailwind utilities generated for each @theme namespace
+ */
+const TAILWIND_UTILITIES = [
+  ['--color-', [
+    'bg', 'text', 'border', 'border-x', 'border-y', 'border-t', 'border-r', 'border-b', 'border-l',
+    'ring', 'ring-offset', 'outline', 'fill', 'stroke', 'divide', 'placeholder', 'from', 'via', 'to',
+    'accent', 'caret', 'decoration', 'shadow', 'inset-shadow',
+  ]],
+  ['--font-weight-', ['font']],
+  ['--font-', ['font']],
+  ['--text-', ['text']],
+  ['--leading-', ['leading']],
+  ['--tracking-', ['tracking']],
+  ['--radius-', [
+    'rounded', 'rounded-t', 'rounded-r', 'rounded-b', 'rounded-l',
+    'rounded-tl', 'rounded-tr', 'rounded-br', 'rounded-bl', 'rounded-s', 'rounded-e',
+  ]],
+  ['--shadow-', ['shadow']],
+  ['--inset-shadow-', ['inset-shadow']],
+  ['--drop-shadow-', ['drop-shadow']],
+  ['--blur-', ['blur', 'backdrop-blur']],
+  ['--ease-', ['ease']],
+  ['--animate-', ['animate']],
+];
+
+/**
+ * Whether a file in the repository tree should be scanned for token usages
+ * @param {string} path
+ * @param {Array<string>} [exclude] - Paths to skip (e.g. the token file itself)
+ * @returns {boolean}
+ */
+export function isScannableFile(path, exclude = []) {
+  if (exclude.includes(path)) {
+    return false;
+  }
+  if (path.split('/').some(segment => IGNORED_DIRECTORIES.includes(segment))) {
+    return false;
+  }
+  return USAGE_SCAN_EXTENSIONS.some(extension => path.endsWith(extension)) && !/\.min\.(js|css)$/.test(path);
+}
+
+/**
+ * Build the regular expression matching usages of a token
+ * @param {string} name - Token name, e.g. "--color-blue-500"
+ * @returns {RegExp}
+ */
+export function tokenUsagePattern(name) {
+  const alternatives = [`\\(\\s*${escapeRegExp(name)}\\s*[,)]`];
+
+  const namespace = TAILWIND_UTILITIES.find(([prefix]) => name.startsWith(prefix) && name.length > prefix.length);
+  if (namespace) {
+    const [prefix, utilities] = namespace;
+    const suffix = escapeRegExp(name.slice(prefix.length));
+    const prefixes = utilities.map(escapeRegExp).join('|');
+    alternatives.push(`(?<![\\w-])(?:${prefixes})-${suffix}(?:\\/[\\w.]+)?(?![\\w-])`);
+  }
+
+  return new RegExp(alternatives.join('|'));
+}
+
+/**
+ * Scan files for usages of the given tokens
+ * @param {Array<{path: string, content: string}>} files
+ * @param {Array<string>} names - Token names
+ * @returns {Array<{name: string, files: Array<string>}>} Files using each token
+ */
+export function scanTokenUsages(files, names) {
+  return [...new Set(names)].map(name => {
+    const pattern = tokenUsagePattern(name);
+    return {
+      name,
+      files: files.filter(file => pattern.test(file.content)).map(file => file.path),
+    };
+  });
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
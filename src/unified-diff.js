@@ -0,0 +1,167 @@
+/**
+ * Create a unified diff (as produced by `diff -u`) between two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {string} [options.fromFile='a'] - Name for the old file in the header
+ * @param {string} [options.toFile='b'] - Name for the new file in the header
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} The diff, or an empty string when the texts are equal
+ */
+export function createUnifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailingContext = 0;
+
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') {
+      if (hunk) {
+        // Keep the context if another change follows close enough to join this hunk
+        const nextChange = edits.findIndex((other, i) => i > index && other.type !== ' ');
+        if (trailingContext < context || (nextChange !== -1 && nextChange - index <= context)) {
+          hunk.lines.push(formatLine(' ', edit.line));
+          hunk.oldCount++;
+          hunk.newCount++;
+          trailingContext++;
+        } else {
+          hunks.push(hunk);
+          hunk = null;
+        }
+      }
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!hunk) {
+      const leading = [];
+      for (let i = index - 1; i >= 0 && leading.length < context && edits[i].type === ' '; i--) {
+        leading.unshift(formatLine(' ', edits[i].line));
+      }
+      hunk = {
+        oldStart: oldLine - leading.length,
+        newStart: newLine - leading.length,
+        oldCount: leading.length,
+        newCount: leading.length,
+        lines: leading,
+      };
+    }
+
+    trailingContext = 0;
+    hunk.lines.push(formatLine(edit.type, edit.line));
+    if (edit.type === '-') {
+      hunk.oldCount++;
+      oldLine++;
+    } else {
+      hunk.newCount++;
+      newLine++;
+    }
+  });
+
+  if (hunk) {
+    hunks.push(hunk);
+  }
+
+  const header = `--- ${fromFile}\n+++ ${toFile}\n`;
+  const body = hunks.map(h =>
+    `@@ -${rangeOf(h.oldStart, h.oldCount)} +${rangeOf(h.newStart, h.newCount)} @@\n${h.lines.join('')}`
+  );
+
+  return header + body.join('');
+}
+
+/**
+ * Split text into lines, keeping each line's newline
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Format a diff line, marking a last line that has no newline
+ * @param {string} type - ' ', '-' or '+'
+ * @param {string} line - Line including its newline (if any)
+ * @returns {string}
+ */
+function formatLine(type, line) {
+  return line.endsWith('\n') ? `${type}${line}` : `${type}${line}\n\\ No newline at end of file\n`;
+}
+
+/**
+ * Format a hunk range the way `diff -u` does
+ * @param {number} start
+ * @param {number} count
+ * @returns {string}
+ */
+function rangeOf(start, count) {
+  if (count === 0) {
+    return `${start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Line-level diff based on the longest common subsequence. The common prefix and
+ * suffix are skipped first, since token updates only touch a small part of the file.
+ * @param {Array<string>} oldLines
+ * @param {Array<string>} newLines
+ * @returns {Array<{type: ' ' | '-' | '+', line: string}>}
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  // lengths[i * (b.length + 1) + j] = LCS length of a[i:] and b[j:]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const edits = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      edits.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      edits.push({ type: '-', line: a[i] });
+      i++;
+    } else {
+      edits.push({ type: '+', line: b[j] });
+      j++;
+    }
+  }
+
+  return edits.concat(oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line })));
+}
@@ -0,0 +1,258 @@
+/**
+ * Conversion of W3C Design Tokens (Design Tokens Community Group format) to the
+ * @theme / :root / .dark-theme CSS structure the merge pipeline expects
+ *
+ * The document's top-level groups pick the block their tokens go to:
+ * - "@theme", "primitive" or "primitives" → @theme
+ * - ":root" or "light" → :root
+ * - ".dark-theme" or "dark" → .dark-theme
+ * - any other selector (".high-contrast-theme", "[data-theme=\"brand\"]") → a block
+ *   with that selector, and "@media (...)" → a `:root` block inside that media query
+ *
+ * Token names are the path inside that group joined with "-", so
+ * `primitives.color.blue.500` becomes `--color-blue-500` in @theme.
+ *
+ * A token deleted in Figma can be sent as `{"$removed": true}`, or with the alias of
+ * its replacement: `{"$removed": "{color.blue.600}"}`. It becomes a REMOVED marker
+ * for the merge's removal policy.
+ */
+
+const BLOCK_GROUPS = {
+  '@theme': ['@theme', 'primitive', 'primitives'],
+  ':root': [':root', 'light'],
+  '.dark-theme': ['.dark-theme', 'dark'],
+};
+
+/**
+ * Error thrown when a token document cannot be converted
+ */
+export class TokenFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenFormatError';
+  }
+}
+
+/**
+ * Convert a W3C Design Tokens document to CSS
+ * @param {object} document - Parsed token JSON
+ * @param {object} [options]
+ * @param {'var' | 'resolve'} [options.aliases='var'] - Keep aliases like `{color.blue.500}`
+ *   as `var(--color-blue-500)` references, or resolve them to their final values
+ * @returns {string} CSS with one block per token group
+ * @throws {TokenFormatError}
+ */
+export function convertW3CTokensToCSS(document, { aliases = 'var' } = {}) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new TokenFormatError('Token document must be a JSON object');
+  }
+  if (!['var', 'resolve'].includes(aliases)) {
+    throw new TokenFormatError(`Unknown alias mode "${aliases}" (expected "var" or "resolve")`);
+  }
+
+  // Collect every token with its path, CSS name and inherited $type
+  const tokens = new Map();
+  const blocks = [];
+
+  const selectorGroups = Object.keys(document)
+    .filter(isSelectorGroup)
+    .map(key => [key.trim().replace(/\s+/g, ' '), [key]]);
+
+  for (const [selector, groupNames] of [...Object.entries(BLOCK_GROUPS), ...selectorGroups]) {
+    const groupName = groupNames.find(name => document[name] !== undefined);
+    if (!groupName) {
+      continue;
+    }
+
+    const blockTokens = [];
+    collectTokens(document[groupName], [], undefined, (path, token, type) => {
+      const entry = {
+        path: [groupName, ...path].join('.'),
+        name: `--${path.map(segment => segment.replace(/[^\w-]+/g, '-')).join('-')}`,
+        type: token.$type || type,
+        value: token.$value,
+        removed: token.$removed,
+        description: token.$description,
+      };
+      tokens.set(entry.path, entry);
+      blockTokens.push(entry);
+    });
+    blocks.push({ selector, groupName, tokens: blockTokens });
+  }
+
+  const unknownGroups = Object.keys(document).filter(
+    key => !key.startsWith('$') && !Object.values(BLOCK_GROUPS).flat().includes(key) && !isSelectorGroup(key)
+  );
+  if (unknownGroups.length > 0) {
+    throw new TokenFormatError(
+      `Unknown top-level group(s): ${unknownGroups.join(', ')} (expected primitives, light, dark or a theme selector)`
+    );
+  }
+  if (blocks.length === 0) {
+    throw new TokenFormatError('Token document has no primitives, light or dark group');
+  }
+
+  const lookup = (reference, from) => {
+    const candidates = [reference, ...blocks.map(block => `${block.groupName}.${reference}`)];
+    const target = candidates.map(path => tokens.get(path)).find(Boolean);
+    if (!target) {
+      throw new TokenFormatError(`${from.path} references unknown token {${reference}}`);
+    }
+    return target;
+  };
+
+  const resolve = (token, seen = []) => {
+    if (isRemoved(token)) {
+      if (typeof token.removed !== 'string') {
+        return '/* REMOVED */';
+      }
+      const reference = token.removed.match(/^\{([^{}]+)\}$/);
+      if (!reference) {
+        throw new TokenFormatError(`${token.path} has an invalid $removed value (expected true or an alias like {color.blue.600})`);
+      }
+      return `/* REMOVED: use ${lookup(reference[1].trim(), token).name} */`;
+    }
+    if (seen.includes(token.path)) {
+      throw new TokenFormatError(`Alias cycle: ${[...seen, token.path].join(' → ')}`);
+    }
+    return formatValue(token.value, token.type, reference => {
+      const target = lookup(reference, token);
+      if (isRemoved(target)) {
+        throw new TokenFormatError(`${token.path} references removed token {${reference}}`);
+      }
+      return aliases === 'var' ? `var(${target.name})` : resolve(target, [...seen, token.path]);
+    }, token);
+  };
+
+  return blocks
+    .map(block => {
+      const lines = block.tokens.map(token => {
+        const declaration = `  ${token.name}: ${resolve(token)};`;
+        return token.description ? `  /* ${token.description.replace(/\*\//g, '* /')} */\n${declaration}` : declaration;
+      });
+      if (block.selector.startsWith('@media')) {
+        return `${block.selector} {\n  :root {\n${lines.map(line => line.replace(/^/gm, '  ')).join('\n')}\n  }\n}`;
+      }
+      return `${block.selector} {\n${lines.join('\n')}\n}`;
+    })
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Whether a top-level group key is a theme selector of its own (e.g. ".high-contrast-theme",
+ * "[data-theme=\"brand\"]" or "@media (prefers-color-scheme: dark)")
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSelectorGroup(key) {
+  if (Object.values(BLOCK_GROUPS).flat().includes(key)) {
+    return false;
+  }
+  return /^\s*(\.|\[|:|@media\b)/.test(key);
+}
+
+/**
+ * Whether a token was deleted in Figma (has a truthy `$removed`)
+ * @param {{removed: *}} token
+ * @returns {boolean}
+ */
+function isRemoved(token) {
+  return token.removed !== undefined && token.removed !== false;
+}
+
+/**
+ * Walk a token group, calling back for every token (an object with `$value`)
+ * @param {object} group
+ * @param {Array<string>} path - Path of the group
+ * @param {string | undefined} inheritedType - `$type` inherited from parent groups
+ * @param {(path: Array<string>, token: object, type: string | undefined) => void} onToken
+ */
+function collectTokens(group, path, inheritedType, onToken) {
+  if (!group || typeof group !== 'object') {
+    throw new TokenFormatError(`${path.join('.') || 'Group'} must be an object`);
+  }
+
+  const type = group.$type || inheritedType;
+
+  for (const [key, child] of Object.entries(group)) {
+    if (key.startsWith('$')) {
+      continue;
+    }
+    if (child && typeof child === 'object' && ('$value' in child || '$removed' in child)) {
+      onToken([...path, key], child, type);
+    } else {
+      collectTokens(child, [...path, key], type, onToken);
+    }
+  }
+}
+
+/**
+ * Format a token value as CSS
+ * @param {*} value - The token's $value
+ * @param {string | undefined} type - The token's $type
+ * @param {(reference: string) => string} alias - Formats an alias reference
+ * @param {{path: string}} token - Token being formatted (for error messages)
+ * @returns {string}
+ */
+function formatValue(value, type, alias, token) {
+  if (typeof value === 'string') {
+    return value.replace(/\{([^{}]+)\}/g, (match, reference) => alias(reference.trim()));
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (!value || typeof value !== 'object') {
+    throw new TokenFormatError(`${token.path} must have a string, number or object value (got ${value === null ? 'null' : typeof value})`);
+  }
+
+  const format = part => formatValue(part, undefined, alias, token);
+
+  switch (type) {
+    case 'color':
+      if (value.hex) return value.hex;
+      if (value.colorSpace && Array.isArray(value.components)) {
+        const alpha = value.alpha !== undefined && value.alpha !== 1 ? ` / ${value.alpha}` : '';
+        return `color(${value.colorSpace} ${value.components.join(' ')}${alpha})`;
+      }
+      break;
+    case 'dimension':
+    case 'duration':
+      if (value.value !== undefined && value.unit) return `${value.value}${value.unit}`;
+      break;
+    case 'fontFamily':
+      if (Array.isArray(value)) {
+        return value.map(name => (/\s/.test(name) && !/^["']/.test(name) ? `"${name}"` : format(name))).join(', ');
+      }
+      break;
+    case 'cubicBezier':
+      if (Array.isArray(value)) return `cubic-bezier(${value.join(', ')})`;
+      break;
+    case 'shadow': {
+      const shadows = Array.isArray(value) ? value : [value];
+      if (shadows.some(shadow => !shadow || typeof shadow !== 'object')) {
+        break;
+      }
+      return shadows
+        .map(shadow => [
+          shadow.inset ? 'inset' : null,
+          format(dimension(shadow.offsetX)),
+          format(dimension(shadow.offsetY)),
+          format(dimension(shadow.blur)),
+          shadow.spread !== undefined ? format(dimension(shadow.spread)) : null,
+          format(shadow.color),
+        ].filter(Boolean).join(' '))
+        .join(', ');
+    }
+  }
+
+  throw new TokenFormatError(`${token.path} has a ${type || 'untyped'} value that cannot be converted to CSS`);
+}
+
+/**
+ * Normalize a dimension that may be a string or {value, unit}
+ * @param {string | {value: number, unit: string}} value
+ * @returns {string}
+ */
+function dimension(value) {
+  return typeof value === 'object' && value !== null ? `${value.value}${value.unit}` : value;
+}
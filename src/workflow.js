@@ -1,6 +1,24 @@
+import { createHash } from 'crypto';
 import { GitHubClient } from './github-client.js';
 import { mergeCSS, updateTokenSection } from './claude-merger.js';
-import { extractDesignTokenSection, replaceLines } from './css-parser.js';
+import { LLMClient } from './llm-client.js';
+import { extractDesignTokenSection, extractTokenValues, pickTokenBlocks, replaceLines } from './css-parser.js';
+import {
+  TOKEN_TIERS,
+  applyComponentTokens,
+  applyTokenRemovals,
+  extractComponentTokens,
+  extractRemovalMarkers,
+  mergeTokenSectionDeterministic,
+  pinTokenValues,
+} from './token-merger.js';
+import { MergeValidationError, validateMergedCSS } from './merge-validator.js';
+import { diffTokenSections, renderTokenDiffMarkdown, summarizeTokenDiff } from './token-diff.js';
+import { createUnifiedDiff } from './unified-diff.js';
+import { findEditConflicts, isBotCommit, isMergeCommit, renderEditConflictsMarkdown } from './human-edits.js';
+import { buildTokenExports } from './token-export.js';
+import { analyzeTokenSection, renderAnalysisMarkdown } from './token-analysis.js';
+import { auditContrast, renderContrastMarkdown } from './contrast-audit.js';
 
 /**
  * Main workflow for processing design token updates
@@ -9,7 +27,19 @@ export class TokenUpdateWorkflow {
   constructor(config) {
     this.config = config;
     this.testMode = config.testMode || false; // Test mode flag
-    this.github = new GitHubClient(
+    this.mergeStrategy = config.mergeStrategy || 'claude'; // 'claude' or 'deterministic'
+    this.baseBranch = config.baseBranch || null; // Resolved to the repo's default branch when not set
+    this.tokenSelectors = ['@theme', ':root', ...(config.themeSelectors || ['.dark-theme'])]; // Every token block of the file
+    this.tokenBlocks = config.tokenBlocks || this.tokenSelectors; // Token blocks this target accepts
+    this.removalPolicy = config.removalPolicy || 'keep'; // 'keep', 'remove' or 'deprecate'
+    this.usageScan = config.usageScan || 'warn'; // 'off', 'warn' or 'strict'
+    this.humanEditPolicy = config.humanEditPolicy || 'keep'; // 'keep' or 'flag' (hand edits on the bot branch)
+    this.contrast = { pairs: [], level: 'AA', block: false, ...config.contrast }; // WCAG contrast audit
+    this.llm = config.llmClient || null; // Built from anthropicApiKey on first use when not given
+    this.history = config.history || null; // HistoryStore completed syncs are recorded in (optional)
+    this.maxBranchBehind = config.maxBranchBehind ?? 50; // Commits the bot branch may lag behind its base before it is rebased
+    this.decisions = []; // Branch and PR decisions of the current run, for the job result
+    this.github = config.githubClient || new GitHubClient(
       config.githubToken,
       config.githubOwner,
       config.githubRepo
@@ -19,147 +49,223 @@ export class TokenUpdateWorkflow {
   /**
    * Process a new CSS update from Figma
    * @param {string} newCSS - CSS content from Figma
-   * @returns {Promise<{success: boolean, prUrl?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, prUrl?: string, error?: string, violations?: Array<object>, tokenDiff?: Array<object>, removedTokens?: Array<object>, componentTokens?: Array<object>, humanEdits?: Array<object>, analysis?: {incoming: Array<object>, merged: Array<object>}, contrast?: Array<object>, decisions?: Array<object>, historyId?: string}>}
    */
   async processUpdate(newCSS) {
     try {
       console.log('\n=== Starting Token Update Workflow ===\n');
 
-      // Step 1: Check if bot branch exists
+      this.decisions = [];
+      await this.resolveBaseBranch();
+
+      // Step 1: Check if bot branch exists, and whether it can still be used
+      this.reportStep('check-branch');
       console.log(`1. Checking if branch "${this.config.botBranch}" exists...`);
       const botBranchExists = await this.github.branchExists(this.config.botBranch);
+      const branchPlan = botBranchExists
+        ? this.planBranch(await this.github.getBranchStatus(this.config.botBranch, this.baseBranch))
+        : { action: 'create', reason: `${this.config.botBranch} does not exist (the previous PR was likely merged)` };
+      this.recordDecision('branch', branchPlan.action, branchPlan.reason);
 
-      let sourceBranch;
       let oldCSS;
-      let fileSha;
+      let baseCSS;
+      let basedOnSha; // Commit the bot branch's CSS was read at
+      let humanEdits = [];
 
-      if (!botBranchExists) {
-        console.log(`   Branch doesn't exist. Previous PR was likely merged.`);
-        console.log(`   Will create new branch from main.`);
-        sourceBranch = 'main';
+      if (branchPlan.action === 'create' || branchPlan.action === 'recreate') {
+        console.log(`   Will ${branchPlan.action} the branch from ${this.baseBranch}.`);
 
-        // Fetch CSS from main
-        console.log('\n2. Fetching current CSS from main branch...');
+        // Fetch CSS from the base branch
+        this.reportStep('fetch-css');
+        console.log(`\n2. Fetching current CSS from ${this.baseBranch} branch...`);
+        basedOnSha = await this.github.getBranchHead(this.baseBranch);
         const fileData = await this.github.getFileContent(
           this.config.targetFilePath,
-          'main'
+          basedOnSha
         );
         oldCSS = fileData.content;
-        fileSha = fileData.sha;
+        baseCSS = oldCSS;
 
-        // Create new bot branch
-        console.log(`\n3. Creating branch "${this.config.botBranch}"...`);
-        await this.github.createBranch(this.config.botBranch, 'main');
+        // Create the bot branch, or start it over from the base branch
+        this.reportStep('create-branch');
+        if (branchPlan.action === 'create') {
+          console.log(`\n3. Creating branch "${this.config.botBranch}"...`);
+          await this.github.createBranch(this.config.botBranch, this.baseBranch);
+        } else {
+          console.log(`\n3. Resetting branch "${this.config.botBranch}" to ${this.baseBranch}...`);
+          await this.github.resetBranch(this.config.botBranch, this.baseBranch);
+        }
       } else {
-        console.log(`   Branch exists. Will update existing branch.`);
-        sourceBranch = this.config.botBranch;
+        console.log(`   Branch exists. Will ${branchPlan.action === 'rebase' ? 'rebase' : 'update'} existing branch.`);
 
         // Fetch CSS from bot branch
+        this.reportStep('fetch-css');
         console.log('\n2. Fetching current CSS from bot branch...');
+        basedOnSha = await this.github.getBranchHead(this.config.botBranch);
         const fileData = await this.github.getFileContent(
           this.config.targetFilePath,
-          this.config.botBranch
+          basedOnSha
         );
         oldCSS = fileData.content;
-        fileSha = fileData.sha;
-
-        console.log('\n3. Branch already exists, skipping creation.');
-      }
 
-      console.log(`   Old CSS: ${oldCSS.length} characters`);
-      console.log(`   New CSS: ${newCSS.length} characters`);
+        // The PR diff is against the base branch, so fetch that too
+        const baseFileData = await this.github.getFileContent(
+          this.config.targetFilePath,
+          this.baseBranch
+        );
+        baseCSS = baseFileData.content;
 
-      // Step 4: Extract and merge token section (@theme, :root, .dark-theme) using Claude
-      console.log('\n4. Extracting design token sections (@theme, :root, .dark-theme)...');
-      const oldTokenSection = extractDesignTokenSection(oldCSS);
-      const newTokenSection = extractDesignTokenSection(newCSS);
+        if (branchPlan.action === 'rebase') {
+          this.reportStep('create-branch');
+          console.log(`\n3. Rebasing branch "${this.config.botBranch}" onto ${this.baseBranch}...`);
+          ({ css: oldCSS, sha: basedOnSha } = await this.rebaseBotBranch(oldCSS, baseCSS, basedOnSha));
+        } else {
+          console.log('\n3. Branch already exists, skipping creation.');
+        }
 
-      if (!oldTokenSection) {
-        throw new Error('No complete token section found in old CSS (missing @theme, :root, or .dark-theme)');
-      }
-      if (!newTokenSection) {
-        throw new Error('No complete token section found in new CSS (missing @theme, :root, or .dark-theme)');
+        humanEdits = await this.findHumanEdits(oldCSS);
       }
 
-      console.log(`   Old token section: lines ${oldTokenSection.startLine}-${oldTokenSection.endLine} (${oldTokenSection.content.length} characters)`);
-      console.log(`   - @theme: line ${oldTokenSection.blocks.theme}`);
-      console.log(`   - :root: line ${oldTokenSection.blocks.root}`);
-      console.log(`   - .dark-theme: lines ${oldTokenSection.blocks.darkTheme}-${oldTokenSection.blocks.darkThemeEnd}`);
-      console.log(`   New token section: ${newTokenSection.content.length} characters`);
-
-      console.log('\n5. Merging token section using Claude AI...');
-      const updatedTokenSection = await this.mergeTokenSection(
-        oldTokenSection.content,
-        newTokenSection.content
-      );
-      console.log(`   Updated token section: ${updatedTokenSection.length} characters`);
-
-      // Replace only the token section lines
-      console.log(`\n6. Replacing lines ${oldTokenSection.startLine}-${oldTokenSection.endLine} in original CSS...`);
-      const mergedCSS = replaceLines(
-        oldCSS,
-        oldTokenSection.startLine,
-        oldTokenSection.endLine,
-        updatedTokenSection
-      );
-      console.log(`   Final CSS: ${mergedCSS.length} characters`);
+      let merge = await this.mergeIntoCSS(oldCSS, newCSS, humanEdits);
 
       // Check if there are any changes
-      if (mergedCSS === oldCSS) {
+      if (merge.mergedCSS === oldCSS) {
         console.log('\n⚠️  No changes detected in CSS. Skipping commit and PR creation.');
         console.log('\n=== Workflow Complete (No Changes) ===\n');
         return {
           success: true,
           noChanges: true,
           message: 'No changes detected in design tokens',
+          decisions: this.decisions,
         };
       }
 
-      // Step 7: Update file in GitHub
-      console.log('\n7. Updating file in GitHub...');
-      await this.github.updateFile(
-        this.config.targetFilePath,
-        mergedCSS,
+      // Step 7: Validate the merged CSS before anything is pushed
+      this.reportStep('validate');
+      console.log('\n7. Validating merged CSS...');
+      this.assertValidMerge(merge);
+      await this.assertRemovedTokensUnused(merge);
+      console.log('   ✓ Merged CSS is valid');
+
+      // Step 8: Commit to GitHub as one atomic commit. The merge took a while: when
+      // the bot branch has moved on since it was read, it is merged again on its new head.
+      this.reportStep('update-file');
+      console.log('\n8. Committing merged CSS to GitHub...');
+      const commit = await this.github.commitFiles(
         this.config.botBranch,
-        fileSha,
-        '[automated] Update Design Tokens'
+        async (headSha, attempt) => {
+          if (attempt > 0) {
+            // The bot branch moved since we read it: merge again on top of its new head
+            const fileData = await this.github.getFileContent(this.config.targetFilePath, headSha);
+            humanEdits = await this.findHumanEdits(fileData.content);
+            merge = await this.mergeIntoCSS(fileData.content, newCSS, humanEdits);
+            if (merge.mergedCSS === fileData.content) {
+              return [];
+            }
+            this.assertValidMerge(merge);
+            await this.assertRemovedTokensUnused(merge);
+          }
+          return [
+            { path: this.config.targetFilePath, content: merge.mergedCSS },
+            ...this.buildExportFiles(merge.mergedCSS),
+          ];
+        },
+        '[automated] Update Design Tokens',
+        { expectedSha: basedOnSha }
       );
 
-      // Step 8: Check if PR exists, create if not
-      console.log('\n8. Checking for existing PR...');
+      // The branch moved to a head that already has these tokens (e.g. a concurrent sync)
+      if (!commit.changed) {
+        console.log(`\n⚠️  ${this.config.botBranch} already has these changes. Skipping PR update.`);
+        console.log('\n=== Workflow Complete (No Changes) ===\n');
+        return {
+          success: true,
+          noChanges: true,
+          message: 'No changes detected in design tokens',
+          decisions: this.decisions,
+        };
+      }
+
+      // Token-level diff of the whole PR (base vs merged) for reviewers
+      const baseTokenSection = this.extractTokenSection(baseCSS) || merge.oldTokenSection;
+      const tokenDiff = diffTokenSections(baseTokenSection.content, merge.updatedTokenSection, this.tokenBlocks);
+      const diffSummary = summarizeTokenDiff(tokenDiff);
+      console.log(`   Token diff vs ${this.baseBranch}: ${diffSummary.changed} changed, ${diffSummary.added} added, ${diffSummary.removed} removed`);
+      const removedTokens = merge.removed;
+      const { components: componentTokens, conflicts, analysis, contrast } = merge;
+
+      // Step 9: Check if PR exists, create if not
+      this.reportStep('pull-request');
+      console.log('\n9. Checking for existing PR...');
 
       let prUrl;
+      let prNumber;
 
       if (this.testMode) {
         console.log('   TEST MODE: Skipping PR creation');
         prUrl = `https://github.com/${this.config.githubOwner}/${this.config.githubRepo}/tree/${this.config.botBranch}`;
         console.log(`   Branch URL: ${prUrl}`);
       } else {
-        const prInfo = await this.github.getPullRequest(this.config.botBranch, 'main');
+        const prInfo = await this.github.getPullRequest(this.config.botBranch, this.baseBranch);
 
-        if (prInfo.exists) {
-          console.log(`   PR already exists: #${prInfo.number}`);
-          console.log(`   URL: ${prInfo.url}`);
-          prUrl = prInfo.url;
+        const prBody = this.buildPullRequestBody(tokenDiff, removedTokens, analysis, contrast, componentTokens);
+
+        const reopened = !prInfo.exists && branchPlan.reopen ? await this.reopenPullRequest(branchPlan.reopen) : null;
+
+        if (prInfo.exists || reopened) {
+          const pr = prInfo.exists ? prInfo : reopened;
+          console.log(`   PR ${prInfo.exists ? 'already exists' : 'reopened'}: #${pr.number}`);
+          console.log(`   URL: ${pr.url}`);
+          await this.github.updatePullRequestBody(pr.number, prBody);
+          prUrl = pr.url;
+          prNumber = pr.number;
+          if (prInfo.exists) {
+            this.recordDecision('pull-request', 'updated', `PR #${pr.number} is open`);
+          }
         } else {
           console.log('   No PR found. Creating new PR...');
           const newPR = await this.github.createPullRequest(
             '[automated] Update Design Tokens',
             this.config.botBranch,
-            'main',
-            '[automated] Update Design Tokens'
+            this.baseBranch,
+            prBody
           );
           prUrl = newPR.url;
+          prNumber = newPR.number;
+          this.recordDecision('pull-request', 'created', `no open PR from ${this.config.botBranch}`);
+        }
+
+        // Let the reviewers know which of their hand edits this push ran into
+        if (conflicts.length > 0) {
+          await this.github.createPullRequestComment(prNumber, renderEditConflictsMarkdown(conflicts, this.humanEditPolicy));
         }
       }
 
+      const historyEntry = await this.recordHistory({
+        cssHash: createHash('sha256').update(newCSS).digest('hex'),
+        tokenDiff,
+        commitSha: commit.sha,
+        prUrl,
+        tokenSection: merge.updatedTokenSection,
+      });
+
       console.log('\n=== Workflow Complete ===\n');
       console.log(this.testMode ? `Branch: ${prUrl}` : `Pull Request: ${prUrl}`);
 
       return {
         success: true,
         prUrl,
+        baseBranch: this.baseBranch,
+        commitSha: commit.sha,
         testMode: this.testMode,
+        tokenDiff,
+        removedTokens,
+        componentTokens,
+        humanEdits: conflicts,
+        analysis,
+        contrast,
+        decisions: this.decisions,
+        ...(historyEntry && { historyId: historyEntry.id }),
       };
     } catch (error) {
       console.error('\n❌ Workflow failed:', error.message);
@@ -168,27 +274,868 @@ export class TokenUpdateWorkflow {
       return {
         success: false,
         error: error.message,
+        ...(error instanceof MergeValidationError && { violations: error.violations }),
+        decisions: this.decisions,
       };
     }
   }
 
   /**
-   * Merge CSS using Claude API (legacy full-file merge)
+   * Fall back to the repository's default branch when no base branch is configured
+   * @returns {Promise<string>}
+   */
+  async resolveBaseBranch() {
+    if (!this.baseBranch) {
+      this.baseBranch = await this.github.getDefaultBranch();
+      console.log(`Using default branch "${this.baseBranch}" as base`);
+    }
+    return this.baseBranch;
+  }
+
+  /**
+   * Decide what to do with an existing bot branch
+   *
+   * - Its last PR was merged: start the branch over from the base branch
+   * - Its last PR was closed without merging: start over when the branch is more
+   *   than `maxBranchBehind` commits behind the base branch, else keep it and
+   *   reopen the PR
+   * - It is more than `maxBranchBehind` commits behind: rebase it (see rebaseBotBranch)
+   * - Otherwise: keep committing on it
+   * @param {{behindBy: number, pullRequest: {number: number, state: string} | null}} status - From getBranchStatus
+   * @returns {{action: 'update' | 'rebase' | 'recreate', reason: string, reopen?: number}}
+   */
+  planBranch({ behindBy, pullRequest }) {
+    const behind = `${behindBy} commit(s) behind ${this.baseBranch}`;
+    const stale = behindBy > this.maxBranchBehind;
+
+    if (pullRequest?.state === 'merged') {
+      return { action: 'recreate', reason: `PR #${pullRequest.number} was merged` };
+    }
+    if (pullRequest?.state === 'closed') {
+      return stale
+        ? { action: 'recreate', reason: `PR #${pullRequest.number} was closed without merging and the branch is ${behind}` }
+        : { action: 'update', reason: `PR #${pullRequest.number} was closed without merging; it will be reopened`, reopen: pullRequest.number };
+    }
+    if (stale) {
+      return { action: 'rebase', reason: `the branch is ${behind} (more than ${this.maxBranchBehind})` };
+    }
+    return { action: 'update', reason: pullRequest ? `PR #${pullRequest.number} is open` : 'the branch exists without a PR' };
+  }
+
+  /**
+   * Rebase the bot branch onto the base branch: reset it to the base branch and
+   * commit the base file with the bot branch's token section, so that pending
+   * token changes (and hand edits to them) carry over. A reset would drop the
+   * reviewers' own commits, so a branch that has any gets the base branch merged
+   * in instead; when that merge conflicts, the branch is left as it is.
+   * @param {string} botCSS - Target file on the bot branch
+   * @param {string} baseCSS - Target file on the base branch
+   * @param {string} headSha - Head commit of the bot branch botCSS was read at
+   * @returns {Promise<{css: string, sha: string}>} The target file on the rebased branch, and its head commit
+   */
+  async rebaseBotBranch(botCSS, baseCSS, headSha) {
+    const handCommits = await this.findHandCommits();
+    if (handCommits.length > 0) {
+      return this.mergeBaseBranch(botCSS, headSha, handCommits);
+    }
+
+    const botSection = this.extractTokenSection(botCSS);
+    const baseSection = this.extractTokenSection(baseCSS);
+    const rebasedCSS = botSection && baseSection
+      ? replaceLines(baseCSS, baseSection.startLine, baseSection.endLine, botSection.content)
+      : baseCSS;
+
+    let sha = await this.github.resetBranch(this.config.botBranch, this.baseBranch);
+    if (rebasedCSS !== baseCSS) {
+      ({ sha } = await this.github.commitFiles(
+        this.config.botBranch,
+        [{ path: this.config.targetFilePath, content: rebasedCSS }],
+        `[automated] Rebase Design Tokens onto ${this.baseBranch}`
+      ));
+    }
+    return { css: rebasedCSS, sha };
+  }
+
+  /**
+   * Bring a stale bot branch that has hand commits up to date by merging the base
+   * branch into it
+   * @param {string} botCSS - Target file on the bot branch
+   * @param {string} headSha - Head commit of the bot branch
+   * @param {Array<{sha: string, message: string, author: string}>} handCommits - Commits a reset would drop
+   * @returns {Promise<{css: string, sha: string}>} The target file on the bot branch, and its head commit
+   */
+  async mergeBaseBranch(botCSS, headSha, handCommits) {
+    const handCommitList = handCommits
+      .map(commit => `${commit.sha.slice(0, 7)} "${commit.message.split('\n')[0]}" (${commit.author})`)
+      .join(', ');
+
+    try {
+      const sha = await this.github.mergeBranch(
+        this.config.botBranch,
+        this.baseBranch,
+        `[automated] Merge ${this.baseBranch} into ${this.config.botBranch}`
+      );
+      this.recordDecision('branch', 'merge-base', `a rebase would drop the hand commit(s) ${handCommitList}; merged ${this.baseBranch} in instead`);
+      const fileData = await this.github.getFileContent(this.config.targetFilePath, sha);
+      return { css: fileData.content, sha };
+    } catch (error) {
+      // 409 = merge conflict
+      if (error.status !== 409) {
+        throw error;
+      }
+      this.recordDecision(
+        'branch',
+        'rebase-refused',
+        `${this.baseBranch} does not merge cleanly and a rebase would drop the hand commit(s) ${handCommitList}; the branch is updated as it is`
+      );
+      return { css: botCSS, sha: headSha };
+    }
+  }
+
+  /**
+   * Reopen the bot branch's closed PR. A PR whose branch was force-pushed cannot be
+   * reopened; a new one is created instead.
+   * @param {number} pullNumber
+   * @returns {Promise<{number: number, url: string} | null>} The PR, or null when it could not be reopened
+   */
+  async reopenPullRequest(pullNumber) {
+    try {
+      const pr = await this.github.reopenPullRequest(pullNumber);
+      this.recordDecision('pull-request', 'reopened', `PR #${pullNumber} was closed without merging`);
+      return pr;
+    } catch (error) {
+      if (error.status !== 422) {
+        throw error;
+      }
+      console.log(`   ⚠️  PR #${pullNumber} cannot be reopened: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a branch or PR decision, for the logs and the job result
+   * @param {'branch' | 'pull-request'} subject
+   * @param {string} action - e.g. create, update, rebase, recreate; created, updated, reopened
+   * @param {string} reason
+   */
+  recordDecision(subject, action, reason) {
+    this.decisions.push({ subject, action, reason });
+    console.log(`   → ${subject}: ${action} (${reason})`);
+  }
+
+  /**
+   * Extract the token sections from both stylesheets, merge them and splice the
+   * result back into the old CSS (steps 4-6)
+   *
+   * Component tokens ("UPDATE ONLY IF EXISTS") are taken out of the Figma section
+   * and applied to the old CSS first, wherever it declares them; the merge then
+   * starts from that CSS (`sourceCSS`) and never adds them.
+   *
+   * Hand edits on the bot branch that Figma's values would overwrite are returned
+   * as `conflicts`; with the "keep" policy, Figma's values for them are replaced by
+   * the hand-edited ones before the merge.
+   * @param {string} oldCSS - Current CSS from GitHub
+   * @param {string} newCSS - CSS content from Figma
+   * @param {Array<object>} [humanEdits] - Hand edits on the bot branch (from findHumanEdits)
+   * @returns {Promise<{sourceCSS: string, oldTokenSection: object, newTokenSection: object, updatedTokenSection: string, mergedCSS: string, removed: Array<object>, components: Array<object>, conflicts: Array<object>, analysis: {incoming: Array<object>, merged: Array<object>}, contrast: Array<object>}>}
+   */
+  async mergeIntoCSS(oldCSS, newCSS, humanEdits = []) {
+    console.log(`   Old CSS: ${oldCSS.length} characters`);
+    console.log(`   New CSS: ${newCSS.length} characters`);
+
+    // Step 4: Extract the token sections (only the blocks this target accepts)
+    const blockList = this.tokenBlocks.join(', ');
+    this.reportStep('extract-tokens');
+    console.log(`\n4. Extracting design token sections (${blockList})...`);
+    const newTokenSection = this.extractTokenSection(newCSS);
+
+    const requiredList = this.requiredTokenBlocks().join(', ') || `one of ${blockList}`;
+    if (!newTokenSection) {
+      throw new Error(`No complete token section found in new CSS (missing ${requiredList})`);
+    }
+    const { content: figmaContent, markers } = extractRemovalMarkers(
+      pickTokenBlocks(newTokenSection.content, this.tokenBlocks, this.tokenSelectors),
+      this.tokenBlocks
+    );
+
+    // Hand edits on the bot branch: keep them, or apply Figma's values and report the conflict
+    const conflicts = findEditConflicts(figmaContent, humanEdits, {
+      markers,
+      removalPolicy: this.removalPolicy,
+      selectors: this.tokenBlocks,
+    });
+    const keepHumanEdits = this.humanEditPolicy === 'keep';
+    const incomingContent = keepHumanEdits ? pinTokenValues(figmaContent, humanEdits, this.tokenBlocks).content : figmaContent;
+    for (const conflict of conflicts) {
+      const figmaValue = conflict.figmaValue === null ? 'removal' : `"${conflict.figmaValue}"`;
+      console.log(`   ⚠️  ${conflict.selector} ${conflict.name} was edited by ${conflict.author}; ${keepHumanEdits ? 'keeping it over' : 'overwriting it with'} Figma's ${figmaValue}`);
+    }
+
+    // Component tokens are never added: update them where they exist, drop the rest
+    const { content: newContent, tiers, components: componentTokens } = extractComponentTokens(incomingContent, this.tokenBlocks);
+    newTokenSection.content = newContent;
+    const { content: sourceCSS, components } = applyComponentTokens(oldCSS, componentTokens, this.tokenSelectors);
+    if (componentTokens.length > 0) {
+      const counts = TOKEN_TIERS.map(tier => `${tiers.filter(token => token.tier === tier).length} ${tier}`).join(', ');
+      console.log(`   Token tiers: ${counts}`);
+      for (const component of components) {
+        console.log(`   - Component token ${component.name}: ${component.action}${component.action === 'dropped' ? ' (not in the target file)' : ''}`);
+      }
+    }
+
+    const oldTokenSection = this.extractTokenSection(sourceCSS);
+    if (!oldTokenSection) {
+      throw new Error(`No complete token section found in old CSS (missing ${requiredList})`);
+    }
+
+    console.log(`   Old token section: lines ${oldTokenSection.startLine}-${oldTokenSection.endLine} (${oldTokenSection.content.length} characters)`);
+    for (const block of oldTokenSection.blocks) {
+      console.log(`   - ${block.selector}: lines ${block.startLine}-${block.endLine}`);
+    }
+    console.log(`   New token section: ${newTokenSection.content.length} characters`);
+
+    this.reportStep('merge');
+    console.log(`\n5. Merging token section (${this.mergeStrategy} strategy)...`);
+    const mergedTokenSection = await this.mergeTokenSection(
+      oldTokenSection.content,
+      newTokenSection.content
+    );
+
+    // Tokens removed in Figma are handled in code, whatever the merge strategy
+    const { content: updatedTokenSection, removed } = applyTokenRemovals(
+      mergedTokenSection,
+      incomingContent,
+      {
+        policy: this.removalPolicy,
+        markers,
+        protectedTokens: keepHumanEdits ? humanEdits.filter(edit => edit.value !== null) : [],
+        selectors: this.tokenBlocks,
+      }
+    );
+    if (removed.length > 0) {
+      console.log(`   Removed tokens (${this.removalPolicy} policy): ${removed.map(token => `${token.selector} ${token.name}`).join(', ')}`);
+    }
+    console.log(`   Updated token section: ${updatedTokenSection.length} characters`);
+
+    // Consistency checks on what Figma sent and on what would be committed
+    const analysis = {
+      incoming: analyzeTokenSection(figmaContent, this.tokenBlocks),
+      merged: analyzeTokenSection(updatedTokenSection, this.tokenBlocks),
+    };
+    for (const finding of analysis.merged) {
+      console.log(`   ⚠️  ${finding.message}`);
+    }
+
+    const contrast = auditContrast(updatedTokenSection, this.contrast.pairs, {
+      level: this.contrast.level,
+      selectors: this.tokenBlocks,
+    });
+    for (const result of contrast.filter(result => !result.passes)) {
+      console.log(result.error
+        ? `   ⚠️  ${result.foreground} on ${result.background} in ${result.theme} cannot be checked: ${result.error}`
+        : `   ⚠️  ${result.foreground} on ${result.background} in ${result.theme}: ${result.ratio}:1 is below ${this.contrast.level}`);
+    }
+
+    // Replace only the token section lines
+    this.reportStep('replace-lines');
+    console.log(`\n6. Replacing lines ${oldTokenSection.startLine}-${oldTokenSection.endLine} in original CSS...`);
+    const mergedCSS = replaceLines(
+      sourceCSS,
+      oldTokenSection.startLine,
+      oldTokenSection.endLine,
+      updatedTokenSection
+    );
+    console.log(`   Final CSS: ${mergedCSS.length} characters`);
+
+    return {
+      sourceCSS,
+      oldTokenSection,
+      newTokenSection,
+      updatedTokenSection,
+      mergedCSS,
+      removed,
+      components,
+      conflicts,
+      analysis,
+      contrast,
+    };
+  }
+
+  /**
+   * List the commits on the bot branch that the bot did not make, oldest first.
+   * Merge commits (the base branch merged in) are left out.
+   * @returns {Promise<Array<{sha: string, parent: string | null, message: string, author: string}>>}
+   */
+  async findHandCommits() {
+    const [commits, botLogin] = await Promise.all([
+      this.github.listCommitsBetween(this.baseBranch, this.config.botBranch),
+      this.github.getAuthenticatedLogin(),
+    ]);
+    return commits.filter(commit => !isBotCommit(commit, botLogin) && !isMergeCommit(commit));
+  }
+
+  /**
+   * Find the token edits made by hand on the bot branch that are still in place
+   *
+   * Every commit on the bot branch that the bot did not make is compared with its
+   * parent; the tokens it changed, added or deleted are hand edits, unless a later
+   * commit changed them again. Merge commits (the base branch merged in) are skipped.
+   * @param {string} currentCSS - Target file at the head of the bot branch
+   * @returns {Promise<Array<{selector: string, name: string, value: string | null, commit: string, author: string}>>}
+   *   Hand edits (value null: deleted by hand)
+   */
+  async findHumanEdits(currentCSS) {
+    const humanCommits = (await this.findHandCommits()).filter(commit => commit.parent);
+    if (humanCommits.length === 0) {
+      return [];
+    }
+
+    const edits = new Map();
+    for (const commit of humanCommits) {
+      const [before, after] = await Promise.all(
+        [commit.parent, commit.sha].map(ref => this.github.getFileContent(this.config.targetFilePath, ref).then(
+          file => this.extractTokenSection(file.content),
+          error => {
+            if (error.status === 404) {
+              return null;
+            }
+            throw error;
+          }
+        ))
+      );
+      if (!before || !after || before.content === after.content) {
+        continue;
+      }
+
+      for (const entry of diffTokenSections(before.content, after.content, this.tokenBlocks)) {
+        const changes = [
+          ...entry.changed.map(token => ({ name: token.name, value: token.newValue })),
+          ...entry.added,
+          ...entry.removed.map(token => ({ name: token.name, value: null })),
+        ];
+        for (const { name, value } of changes) {
+          edits.set(`${entry.selector} ${name}`, { selector: entry.selector, name, value, commit: commit.sha, author: commit.author });
+        }
+      }
+    }
+
+    // Only edits that no later commit (e.g. an earlier sync) has overwritten
+    const currentSection = this.extractTokenSection(currentCSS);
+    const current = currentSection ? extractTokenValues(currentSection.content, this.tokenBlocks) : new Map();
+    const inPlace = [...edits.values()].filter(edit => (current.get(edit.selector)?.get(edit.name) ?? null) === edit.value);
+
+    if (inPlace.length > 0) {
+      const authors = [...new Set(inPlace.map(edit => edit.author))].join(', ');
+      console.log(`   Found ${inPlace.length} hand-edited token(s) on the bot branch (by ${authors})`);
+    }
+    return inPlace;
+  }
+
+  /**
+   * Extract the token section of a stylesheet (only the blocks this target accepts)
+   *
+   * @theme and :root must be there; theme blocks are optional, so a theme that is
+   * new in Figma can be added to a file that does not have it yet.
+   * @param {string} css
+   * @returns {{startLine: number, endLine: number, content: string, blocks: Array<object>} | null}
+   */
+  extractTokenSection(css) {
+    return extractDesignTokenSection(css, this.tokenBlocks, { required: this.requiredTokenBlocks() });
+  }
+
+  /**
+   * Token blocks every stylesheet must contain
+   * @returns {Array<string>}
+   */
+  requiredTokenBlocks() {
+    return this.tokenBlocks.filter(selector => selector === '@theme' || selector === ':root');
+  }
+
+  /**
+   * Validate a merge result, throwing a MergeValidationError listing the violations
+   *
+   * The merge is checked against the CSS it started from, with component tokens
+   * already applied: those are the only changes allowed outside the token section.
+   * @param {{sourceCSS: string, oldTokenSection: object, newTokenSection: object, mergedCSS: string, removed: Array<object>}} merge - Result of mergeIntoCSS
+   */
+  assertValidMerge(merge) {
+    const violations = validateMergedCSS({
+      oldCSS: merge.sourceCSS,
+      mergedCSS: merge.mergedCSS,
+      oldSection: merge.oldTokenSection,
+      newSectionContent: merge.newTokenSection.content,
+      removedTokens: merge.removed.filter(token => token.action === 'removed'),
+      selectors: this.tokenBlocks,
+    });
+    violations.push(...this.contrastViolations(merge.contrast));
+    if (violations.length > 0) {
+      throw new MergeValidationError(violations);
+    }
+  }
+
+  /**
+   * Contrast failures as validation violations, when the target blocks on them. A
+   * pair that cannot be checked is a `contrast-unresolved` violation.
+   * @param {Array<object>} contrast - Result of auditContrast
+   * @returns {Array<object>}
+   */
+  contrastViolations(contrast) {
+    if (!this.contrast.block) {
+      return [];
+    }
+    return contrast
+      .filter(result => !result.passes)
+      .map(result => ({
+        type: result.error ? 'contrast-unresolved' : 'contrast',
+        selector: result.theme,
+        token: result.foreground,
+        message: result.error
+          ? `${result.foreground} on ${result.background} in ${result.theme} cannot be checked: ${result.error}`
+          : `${result.foreground} on ${result.background} in ${result.theme} has a contrast of ${result.ratio}:1, below WCAG ${this.contrast.level}`,
+      }));
+  }
+
+  /**
+   * Scan the base branch for files still using the tokens this merge removes or
+   * deprecates. Each such token gets the paths in `usages`; in strict mode, removing
+   * a token that is still used fails the sync.
+   * @param {{removed: Array<object>}} merge - Result of mergeIntoCSS
+   * @returns {Promise<Array<object>>} Violations for removals refused in strict mode
+   */
+  async checkRemovedTokenUsages(merge) {
+    const tokens = merge.removed.filter(token => token.action !== 'kept');
+    if (this.usageScan === 'off' || tokens.length === 0) {
+      return [];
+    }
+
+    console.log(`   Scanning ${this.baseBranch} for usages of ${tokens.length} removed token(s)...`);
+    const generatedFiles = Object.values(this.config.exports || {}).filter(Boolean);
+    const usages = await this.github.findTokenUsages(
+      tokens.map(token => token.name),
+      this.baseBranch,
+      { exclude: [this.config.targetFilePath, ...generatedFiles] }
+    );
+
+    const violations = [];
+    for (const token of tokens) {
+      token.usages = usages.find(usage => usage.name === token.name).files;
+      if (token.usages.length === 0) {
+        continue;
+      }
+
+      console.log(`   ⚠️  ${token.name} is still referenced in ${token.usages.length} file(s)`);
+      if (this.usageScan === 'strict' && token.action === 'removed') {
+        violations.push({
+          type: 'token-still-used',
+          selector: token.selector,
+          token: token.name,
+          files: token.usages,
+          message: `${token.selector} ${token.name} cannot be removed: still referenced in ${token.usages.length} file(s) (${token.usages.join(', ')})`,
+        });
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Run checkRemovedTokenUsages, throwing a MergeValidationError for refused removals
+   * @param {{removed: Array<object>}} merge - Result of mergeIntoCSS
+   */
+  async assertRemovedTokensUnused(merge) {
+    const violations = await this.checkRemovedTokenUsages(merge);
+    if (violations.length > 0) {
+      throw new MergeValidationError(violations);
+    }
+  }
+
+  /**
+   * Generate the token export files (JSON, TypeScript, Tailwind) configured for this target
+   * @param {string} mergedCSS
+   * @returns {Array<{path: string, content: string}>}
+   */
+  buildExportFiles(mergedCSS) {
+    const files = buildTokenExports(mergedCSS, this.config.exports, this.tokenBlocks, { required: this.requiredTokenBlocks() });
+    if (files.length > 0) {
+      console.log(`   Generated token exports: ${files.map(file => file.path).join(', ')}`);
+    }
+    return files;
+  }
+
+  /**
+   * Build the pull request description
+   * @param {Array<object>} tokenDiff - Result of diffTokenSections
+   * @param {Array<object>} [removedTokens] - Tokens removed in Figma (from applyTokenRemovals)
+   * @param {{incoming: Array<object>, merged: Array<object>}} [analysis] - Consistency findings
+   * @param {Array<object>} [contrast] - Result of auditContrast
+   * @param {Array<object>} [componentTokens] - Component tokens from Figma (from applyComponentTokens)
+   * @returns {string}
+   */
+  buildPullRequestBody(tokenDiff, removedTokens = [], analysis = { incoming: [], merged: [] }, contrast = [], componentTokens = []) {
+    const sections = [
+      '[automated] Update Design Tokens',
+      '## Token changes',
+      renderTokenDiffMarkdown(tokenDiff),
+    ];
+
+    if (removedTokens.length > 0) {
+      const actions = { kept: 'kept, because the removal policy is "keep"', removed: 'removed', deprecated: 'marked deprecated' };
+      sections.push(
+        '## Tokens removed in Figma',
+        removedTokens
+          .map(token => {
+            const action = token.referencedBy
+              ? `marked deprecated instead of removed, because ${token.referencedBy.map(reference => `\`${reference}\``).join(', ')} still reference(s) it`
+              : actions[token.action];
+            const line = `- \`${token.selector}\` \`${token.name}\`: ${action}${token.replacement ? ` (replacement: \`${token.replacement}\`)` : ''}`;
+            if (!token.usages || token.usages.length === 0) {
+              return line;
+            }
+            const files = token.usages.map(path => `\`${path}\``).join(', ');
+            return `${line}\n  - ⚠️ Still referenced in ${token.usages.length} file(s): ${files}`;
+          })
+          .join('\n')
+      );
+    }
+
+    const componentChanges = componentTokens.filter(token => token.action !== 'unchanged');
+    if (componentChanges.length > 0) {
+      sections.push(
+        '## Component tokens',
+        componentChanges
+          .map(token => (token.action === 'updated'
+            ? `- \`${token.name}\`: updated (declared ${token.occurrences} time(s) in the file)`
+            : `- \`${token.name}\`: not added, because component tokens are only updated where the file already declares them`))
+          .join('\n')
+      );
+    }
+
+    // Problems in the Figma export that the merge resolved are still worth knowing about
+    const mergedMessages = new Set(analysis.merged.map(finding => finding.message));
+    const incomingOnly = analysis.incoming.filter(finding => !mergedMessages.has(finding.message));
+    if (analysis.merged.length > 0 || incomingOnly.length > 0) {
+      sections.push('## Consistency checks');
+      if (analysis.merged.length > 0) {
+        sections.push(`**Token section in this PR**\n\n${renderAnalysisMarkdown(analysis.merged)}`);
+      }
+      if (incomingOnly.length > 0) {
+        sections.push(`**Figma export**\n\n${renderAnalysisMarkdown(incomingOnly)}`);
+      }
+    }
+
+    if (contrast.length > 0) {
+      sections.push('## Contrast (WCAG)', renderContrastMarkdown(contrast, this.contrast.level));
+    }
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Record a committed sync in the history store (if one is configured)
+   *
+   * The commit is already on GitHub at this point, so a failed write is logged
+   * rather than failing the sync.
+   * @param {object} fields - Entry fields besides the target, submitter and base branch
+   * @returns {Promise<object | null>} The recorded entry
+   */
+  async recordHistory(fields) {
+    if (!this.history) {
+      return null;
+    }
+
+    try {
+      const entry = await this.history.add({
+        target: this.config.targetId || null,
+        submittedBy: this.config.submittedBy || null,
+        baseBranch: this.baseBranch,
+        testMode: this.testMode,
+        ...fields,
+      });
+      console.log(`   Recorded sync ${entry.id} in history`);
+      return entry;
+    } catch (error) {
+      console.error('⚠️  Failed to record sync history:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Open a PR restoring the token section to its state after an earlier sync
+   *
+   * The recorded token section replaces the current one in the target file on the
+   * base branch; everything outside the section is kept. The change is committed to
+   * its own branch (`<botBranch>-revert-<id>`) so it never mixes with a pending
+   * Figma sync on the bot branch.
+   * @param {object} entry - History entry to restore (from HistoryStore)
+   * @returns {Promise<{success: boolean, noChanges?: boolean, prUrl?: string, branch?: string, commitSha?: string, tokenDiff?: Array<object>, historyId?: string, error?: string, violations?: Array<object>}>}
+   */
+  async revertTo(entry) {
+    try {
+      console.log(`\n=== Starting Token Revert Workflow (sync ${entry.id}) ===\n`);
+
+      if (!entry.tokenSection) {
+        throw new Error(`History entry ${entry.id} has no recorded token section to restore`);
+      }
+
+      await this.resolveBaseBranch();
+      const branch = `${this.config.botBranch}-revert-${entry.id.slice(0, 8)}`;
+
+      this.reportStep('fetch-css');
+      console.log(`1. Fetching current CSS from ${this.baseBranch} branch...`);
+      const { content: currentCSS } = await this.github.getFileContent(this.config.targetFilePath, this.baseBranch);
+      const revert = this.restoreTokenSection(currentCSS, entry.tokenSection);
+
+      if (revert.revertedCSS === currentCSS) {
+        console.log(`\n⚠️  The token section on ${this.baseBranch} already matches sync ${entry.id}. Nothing to revert.`);
+        return {
+          success: true,
+          noChanges: true,
+          message: `Token section already matches sync ${entry.id}`,
+        };
+      }
+
+      const { tokenDiff } = revert;
+      const diffSummary = summarizeTokenDiff(tokenDiff);
+      console.log(`   Token diff vs ${this.baseBranch}: ${diffSummary.changed} changed, ${diffSummary.added} added, ${diffSummary.removed} removed`);
+
+      this.reportStep('create-branch');
+      console.log(`\n2. Preparing branch "${branch}"...`);
+      if (!(await this.github.branchExists(branch))) {
+        await this.github.createBranch(branch, this.baseBranch);
+      }
+
+      this.reportStep('update-file');
+      console.log('\n3. Committing reverted CSS to GitHub...');
+      const commit = await this.github.commitFiles(
+        branch,
+        async headSha => {
+          const { content } = await this.github.getFileContent(this.config.targetFilePath, headSha);
+          if (content === revert.revertedCSS) {
+            return [];
+          }
+          return [
+            { path: this.config.targetFilePath, content: revert.revertedCSS },
+            ...this.buildExportFiles(revert.revertedCSS),
+          ];
+        },
+        `[automated] Revert Design Tokens to sync ${entry.id}`
+      );
+
+      this.reportStep('pull-request');
+      console.log('\n4. Checking for existing PR...');
+
+      let prUrl;
+      const prBody = [
+        '[automated] Revert Design Tokens',
+        `Restores the token section to its state after sync \`${entry.id}\` (${entry.createdAt}${entry.commitSha ? `, commit ${entry.commitSha.slice(0, 7)}` : ''}${entry.prUrl ? `, ${entry.prUrl}` : ''}).`,
+        '## Token changes',
+        renderTokenDiffMarkdown(tokenDiff),
+      ].join('\n\n');
+
+      if (this.testMode) {
+        console.log('   TEST MODE: Skipping PR creation');
+        prUrl = `https://github.com/${this.config.githubOwner}/${this.config.githubRepo}/tree/${branch}`;
+      } else {
+        const prInfo = await this.github.getPullRequest(branch, this.baseBranch);
+        if (prInfo.exists) {
+          console.log(`   PR already exists: #${prInfo.number}`);
+          await this.github.updatePullRequestBody(prInfo.number, prBody);
+          prUrl = prInfo.url;
+        } else {
+          const newPR = await this.github.createPullRequest('[automated] Revert Design Tokens', branch, this.baseBranch, prBody);
+          prUrl = newPR.url;
+        }
+      }
+
+      const historyEntry = await this.recordHistory({
+        cssHash: null,
+        revertOf: entry.id,
+        tokenDiff,
+        commitSha: commit.sha,
+        prUrl,
+        tokenSection: entry.tokenSection,
+      });
+
+      console.log('\n=== Revert Complete ===\n');
+      console.log(this.testMode ? `Branch: ${prUrl}` : `Pull Request: ${prUrl}`);
+
+      return {
+        success: true,
+        prUrl,
+        branch,
+        baseBranch: this.baseBranch,
+        commitSha: commit.sha,
+        testMode: this.testMode,
+        tokenDiff,
+        ...(historyEntry && { historyId: historyEntry.id }),
+      };
+    } catch (error) {
+      console.error('\n❌ Revert failed:', error.message);
+
+      return {
+        success: false,
+        error: error.message,
+        ...(error instanceof MergeValidationError && { violations: error.violations }),
+      };
+    }
+  }
+
+  /**
+   * Replace the token section of a stylesheet with a recorded one and validate the result
+   *
+   * Tokens the recorded section does not have are removed on purpose; everything
+   * else is checked like a merge.
+   * @param {string} currentCSS
+   * @param {string} tokenSection - Recorded token section content
+   * @returns {{revertedCSS: string, tokenDiff: Array<object>}}
+   * @throws {MergeValidationError} When the reverted CSS is invalid
+   */
+  restoreTokenSection(currentCSS, tokenSection) {
+    const currentSection = this.extractTokenSection(currentCSS);
+    if (!currentSection) {
+      throw new Error(`No complete token section found in current CSS (missing ${this.requiredTokenBlocks().join(', ')})`);
+    }
+
+    const revertedCSS = replaceLines(currentCSS, currentSection.startLine, currentSection.endLine, tokenSection);
+    const tokenDiff = diffTokenSections(currentSection.content, tokenSection, this.tokenBlocks);
+
+    const violations = validateMergedCSS({
+      oldCSS: currentCSS,
+      mergedCSS: revertedCSS,
+      oldSection: currentSection,
+      newSectionContent: tokenSection,
+      removedTokens: tokenDiff.flatMap(entry => entry.removed.map(token => ({ selector: entry.selector, name: token.name }))),
+      selectors: this.tokenBlocks,
+    });
+    if (violations.length > 0) {
+      throw new MergeValidationError(violations);
+    }
+
+    return { revertedCSS, tokenDiff };
+  }
+
+  /**
+   * Report the current workflow step to the config's onStep callback (if any)
+   * @param {string} step
+   */
+  reportStep(step) {
+    if (this.config.onStep) {
+      this.config.onStep(step);
+    }
+  }
+
+  /**
+   * Preview an update without touching GitHub: merge the Figma CSS into the target
+   * file on the base branch (read-only) and report what would change
+   * @param {string} newCSS - CSS content from Figma
+   * @returns {Promise<{success: boolean, noChanges?: boolean, mergedCSS?: string, diff?: string, tokenDiff?: Array<object>, removedTokens?: Array<object>, componentTokens?: Array<object>, analysis?: {incoming: Array<object>, merged: Array<object>}, contrast?: Array<object>, violations?: Array<object>, exports?: Array<{path: string, content: string}>, error?: string}>}
+   */
+  async previewUpdate(newCSS) {
+    try {
+      console.log('\n=== Starting Token Update Preview ===\n');
+
+      await this.resolveBaseBranch();
+
+      this.reportStep('fetch-css');
+      console.log(`Fetching current CSS from ${this.baseBranch} branch...`);
+      const { content: oldCSS } = await this.github.getFileContent(
+        this.config.targetFilePath,
+        this.baseBranch
+      );
+
+      const {
+        sourceCSS,
+        oldTokenSection,
+        newTokenSection,
+        updatedTokenSection,
+        mergedCSS,
+        removed,
+        components,
+        analysis,
+        contrast,
+      } = await this.mergeIntoCSS(oldCSS, newCSS);
+
+      this.reportStep('validate');
+      const violations = validateMergedCSS({
+        oldCSS: sourceCSS,
+        mergedCSS,
+        oldSection: oldTokenSection,
+        newSectionContent: newTokenSection.content,
+        removedTokens: removed.filter(token => token.action === 'removed'),
+        selectors: this.tokenBlocks,
+      });
+      violations.push(...this.contrastViolations(contrast));
+      violations.push(...await this.checkRemovedTokenUsages({ removed }));
+      const tokenDiff = diffTokenSections(oldTokenSection.content, updatedTokenSection, this.tokenBlocks);
+      const exports = this.buildExportFiles(mergedCSS);
+      const diff = createUnifiedDiff(oldCSS, mergedCSS, {
+        fromFile: `a/${this.config.targetFilePath}`,
+        toFile: `b/${this.config.targetFilePath}`,
+      });
+
+      console.log('\n=== Preview Complete ===\n');
+
+      return {
+        success: true,
+        noChanges: mergedCSS === oldCSS,
+        baseBranch: this.baseBranch,
+        mergedCSS,
+        diff,
+        tokenDiff,
+        removedTokens: removed,
+        componentTokens: components,
+        analysis,
+        contrast,
+        violations,
+        exports,
+      };
+    } catch (error) {
+      console.error('\n❌ Preview failed:', error.message);
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Merge CSS using the LLM (legacy full-file merge)
    * @param {string} oldCSS
    * @param {string} newCSS
    * @returns {Promise<string>}
    */
   async mergeCSS(oldCSS, newCSS) {
-    return await mergeCSS(oldCSS, newCSS, this.config.anthropicApiKey);
+    return await mergeCSS(oldCSS, newCSS, this.getLLMClient());
   }
 
   /**
-   * Update the token section (@theme, :root, .dark-theme) using Claude API
+   * Update the token section (@theme, :root and the theme blocks) using the configured strategy
    * @param {string} oldTokenSection
    * @param {string} newTokenSection
    * @returns {Promise<string>}
    */
   async mergeTokenSection(oldTokenSection, newTokenSection) {
-    return await updateTokenSection(oldTokenSection, newTokenSection, this.config.anthropicApiKey);
+    if (this.mergeStrategy === 'deterministic') {
+      const result = mergeTokenSectionDeterministic(oldTokenSection, newTokenSection, this.tokenBlocks);
+      console.log(`   Updated ${result.updated.length} tokens, added ${result.added.length} tokens`);
+      return result.content;
+    }
+
+    if (this.mergeStrategy !== 'claude') {
+      throw new Error(`Unknown merge strategy: ${this.mergeStrategy}`);
+    }
+
+    return await updateTokenSection(oldTokenSection, newTokenSection, this.getLLMClient(), this.tokenBlocks);
+  }
+
+  /**
+   * LLM client for the claude merge strategy
+   * @returns {LLMClient}
+   */
+  getLLMClient() {
+    if (!this.llm) {
+      this.llm = new LLMClient({ apiKey: this.config.anthropicApiKey });
+    }
+    return this.llm;
   }
 }
@@ -0,0 +1,139 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../src/app.js';
+import { HistoryStore } from '../src/history-store.js';
+import { JobStore } from '../src/job-store.js';
+import { FakeGitHubClient } from './helpers/fake-github-client.js';
+
+const SECRET = 'b3c1f0e2d4a5968778695a4b3c2d1e0f';
+const TARGET = 'packages/design-system/src/css/style.css';
+
+const baseCSS = fs.readFileSync(new URL('./fixtures/workflow/style.css', import.meta.url), 'utf-8');
+const figmaCSS = fs.readFileSync(new URL('./fixtures/workflow/figma.css', import.meta.url), 'utf-8');
+
+// The single sync target comes from these; everything else the app reads starts unset
+const ENV = {
+  GITHUB_TOKEN: 'test-token',
+  GITHUB_OWNER: 'Comfy-Org',
+  GITHUB_REPO: 'ComfyUI_frontend',
+  TARGET_FILE_PATH: TARGET,
+  BOT_BRANCH: 'bot-update-design-tokens',
+};
+const UNSET = ['TARGETS_FILE', 'BASE_BRANCH', 'THEME_SELECTORS', 'TOKEN_USAGE_SCAN', 'CONTRAST_PAIRS', 'TEST_MODE'];
+
+describe('POST /preview', () => {
+  let github;
+  let server;
+  let baseURL;
+  let saved;
+
+  before(async () => {
+    saved = Object.fromEntries([...Object.keys(ENV), ...UNSET].map(name => [name, process.env[name]]));
+    for (const name of UNSET) {
+      delete process.env[name];
+    }
+    Object.assign(process.env, ENV);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-'));
+    github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    const { app } = createApp({
+      webhookClients: [{ id: 'figma-plugin', secret: SECRET }],
+      jobStore: new JobStore(path.join(dir, 'jobs.json')),
+      historyStore: new HistoryStore(path.join(dir, 'history.json')),
+      mergeStrategy: 'deterministic',
+      githubClient: github,
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * @param {string} body
+   * @param {Object<string, string>} [headers]
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  async function preview(body, headers = { 'Content-Type': 'text/plain', Authorization: `Bearer ${SECRET}` }) {
+    const response = await fetch(`${baseURL}/preview`, { method: 'POST', headers, body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('rejects requests without valid credentials', async () => {
+    const missing = await preview(figmaCSS, { 'Content-Type': 'text/plain' });
+    const wrong = await preview(figmaCSS, { 'Content-Type': 'text/plain', Authorization: 'Bearer wrong-key' });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 403);
+  });
+
+  for (const [description, body, contentType, message] of [
+    ['an empty body', '', 'text/plain', /CSS content or a W3C design token document is required/],
+    ['an empty token document', '{}', 'application/json', /CSS content or a W3C design token document is required/],
+    ['invalid JSON', '{"color": ', 'application/json', /^Invalid request body/],
+    ['a token document that cannot be converted', '{"color": {"$value": "#fff"}}', 'application/json', /Unknown top-level group\(s\): color/],
+  ]) {
+    it(`answers ${description} with a 400`, async () => {
+      const response = await preview(body, { 'Content-Type': contentType, Authorization: `Bearer ${SECRET}` });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.success, false);
+      assert.match(response.body.error, message);
+    });
+  }
+
+  it('returns the diff and token diff per target without committing anything', async () => {
+    const branches = new Map(github.branches);
+    const commitCount = github.commitCount;
+
+    const response = await preview(figmaCSS);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+
+    const [result] = response.body.targets;
+    assert.equal(response.body.targets.length, 1);
+    assert.equal(result.target, 'default');
+    assert.equal(result.baseBranch, 'main');
+    assert.equal(result.noChanges, false);
+
+    assert.match(result.diff, new RegExp(`^--- a/${TARGET}\n\\+\\+\\+ b/${TARGET}\n`));
+    assert.match(result.diff, /^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m);
+    assert.match(result.diff, /^\+\s+--color-blue-500: #1a8cf0;$/m);
+
+    assert.ok(result.tokenDiff.length > 0);
+    for (const entry of result.tokenDiff) {
+      assert.deepEqual(Object.keys(entry).sort(), ['added', 'changed', 'removed', 'selector']);
+      assert.ok(entry.added.every(token => typeof token.name === 'string' && typeof token.value === 'string'));
+      assert.ok(entry.changed.every(token => 'oldValue' in token && 'newValue' in token));
+    }
+    assert.ok(result.tokenDiff.some(entry => entry.changed.some(token => token.name === '--color-blue-500' && token.newValue === '#1a8cf0')));
+
+    assert.equal(github.commitCount, commitCount);
+    assert.deepEqual(github.branches, branches);
+    assert.deepEqual(github.pullRequests, []);
+  });
+});
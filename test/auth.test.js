@@ -0,0 +1,221 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createWebhookAuth, loadWebhookClients } from '../src/auth.js';
+
+const SECRET = 'b3c1f0e2d4a5968778695a4b3c2d1e0f';
+
+/**
+ * Headers of a request signed as a client
+ * @param {string} body
+ * @param {object} [options]
+ * @param {string} [options.clientId='figma-plugin']
+ * @param {string} [options.secret]
+ * @param {string} [options.timestamp] - Defaults to now
+ * @returns {Object<string, string>}
+ */
+function signedHeaders(body, { clientId = 'figma-plugin', secret = SECRET, timestamp = String(Math.floor(Date.now() / 1000)) } = {}) {
+  return {
+    'Content-Type': 'text/plain',
+    'X-Client-Id': clientId,
+    'X-Timestamp': timestamp,
+    'X-Signature': `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`,
+  };
+}
+
+describe('createWebhookAuth', () => {
+  let server;
+  let baseURL;
+  let bodiesRead;
+
+  before(async () => {
+    const keepRawBody = (req, res, buf) => {
+      bodiesRead++;
+      req.rawBody = buf;
+    };
+    const app = express();
+    app.post('/echo', createWebhookAuth([{ id: 'figma-plugin', secret: SECRET }], {
+      toleranceSeconds: 60,
+      parseBody: [express.text({ verify: keepRawBody })],
+    }), (req, res) => {
+      res.json({ client: req.client.id, body: req.body });
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    bodiesRead = 0;
+  });
+
+  /**
+   * @param {Object<string, string>} headers
+   * @param {string} [body]
+   * @returns {Promise<{status: number, body: object, headers: Headers}>}
+   */
+  async function post(headers, body = ':root {}') {
+    const response = await fetch(`${baseURL}/echo`, { method: 'POST', headers: { 'Content-Type': 'text/plain', ...headers }, body });
+    return { status: response.status, body: await response.json(), headers: response.headers };
+  }
+
+  it('accepts a valid bearer key', async () => {
+    const response = await post({ Authorization: `Bearer ${SECRET}` });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { client: 'figma-plugin', body: ':root {}' });
+  });
+
+  it('rejects a wrong bearer key with a 403, without reading the body', async () => {
+    const response = await post({ Authorization: 'Bearer wrong-key' });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'Invalid API key');
+    assert.equal(bodiesRead, 0);
+  });
+
+  it('rejects missing or malformed credentials with a 401', async () => {
+    for (const headers of [{}, { Authorization: `Basic ${SECRET}` }, { 'X-Signature': 'sha256=abc' }]) {
+      const response = await post(headers);
+
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer');
+    }
+    assert.equal(bodiesRead, 0);
+  });
+
+  it('accepts a valid signature', async () => {
+    const response = await post(signedHeaders('tokens'), 'tokens');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { client: 'figma-plugin', body: 'tokens' });
+  });
+
+  it('rejects a non-numeric timestamp', async () => {
+    const response = await post(signedHeaders('tokens', { timestamp: '2025-01-01T00:00:00Z' }), 'tokens');
+
+    assert.equal(response.status, 401);
+    assert.match(response.body.error, /unix timestamp/);
+  });
+
+  it('rejects a stale timestamp', async () => {
+    const response = await post(signedHeaders('tokens', { timestamp: String(Math.floor(Date.now() / 1000) - 120) }), 'tokens');
+
+    assert.equal(response.status, 401);
+    assert.match(response.body.error, /more than 60 seconds/);
+    assert.equal(bodiesRead, 0);
+  });
+
+  it('rejects an unknown client without reading the body', async () => {
+    const response = await post(signedHeaders('tokens', { clientId: 'someone' }), 'tokens');
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'Unknown client: someone');
+    assert.equal(bodiesRead, 0);
+  });
+
+  it('rejects a bad signature', async () => {
+    const response = await post(signedHeaders('tokens', { secret: 'another-secret' }), 'tokens');
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'Invalid request signature');
+  });
+
+  it('rejects a body that does not match its signature', async () => {
+    const response = await post(signedHeaders('tokens'), 'other tokens');
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'Invalid request signature');
+  });
+
+  it('rejects a replayed signature', async () => {
+    const headers = signedHeaders('replayed');
+
+    assert.equal((await post(headers, 'replayed')).status, 200);
+    const replay = await post(headers, 'replayed');
+
+    assert.equal(replay.status, 403);
+    assert.match(replay.body.error, /Replayed request/);
+  });
+});
+
+describe('loadWebhookClients', () => {
+  const names = ['WEBHOOK_CLIENTS', 'WEBHOOK_CLIENTS_FILE'];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+    for (const name of names) {
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const name of names) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  });
+
+  /**
+   * @param {*} clients - Content of the clients file
+   * @returns {string} Its path
+   */
+  function clientsFile(clients) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'clients-')), 'clients.json');
+    fs.writeFileSync(file, JSON.stringify(clients));
+    return file;
+  }
+
+  it('reads clients from the environment and from a file', () => {
+    process.env.WEBHOOK_CLIENTS = `figma-plugin:${SECRET}, ci : ${SECRET}x`;
+    process.env.WEBHOOK_CLIENTS_FILE = clientsFile([{ id: 'designer', secret: `${SECRET}y`, note: 'ignored' }]);
+
+    assert.deepEqual(loadWebhookClients(), [
+      { id: 'figma-plugin', secret: SECRET },
+      { id: 'ci', secret: `${SECRET}x` },
+      { id: 'designer', secret: `${SECRET}y` },
+    ]);
+  });
+
+  it('returns no clients when none are configured', () => {
+    assert.deepEqual(loadWebhookClients(), []);
+  });
+
+  for (const [description, env, message] of [
+    ['an entry without a secret separator', { WEBHOOK_CLIENTS: 'figma-plugin' }, /Invalid WEBHOOK_CLIENTS entry \(expected clientId:secret\): figma-plugin/],
+    ['an empty secret', { WEBHOOK_CLIENTS: 'figma-plugin:' }, /Webhook client "figma-plugin" has no real secret/],
+    ['a placeholder secret', { WEBHOOK_CLIENTS: 'figma-plugin:change-me' }, /Webhook client "figma-plugin" has no real secret/],
+    ['a placeholder secret in the file', { WEBHOOK_CLIENTS_FILE: [{ id: 'ci', secret: 'changeme' }] }, /Webhook client "ci" has no real secret/],
+    ['a file client without a secret', { WEBHOOK_CLIENTS_FILE: [{ id: 'ci' }] }, /every client needs an id and a secret/],
+    ['a file client without an id', { WEBHOOK_CLIENTS_FILE: [{ secret: SECRET }] }, /every client needs an id and a secret/],
+  ]) {
+    it(`rejects ${description}`, () => {
+      process.env.WEBHOOK_CLIENTS = env.WEBHOOK_CLIENTS ?? '';
+      if (env.WEBHOOK_CLIENTS_FILE) {
+        process.env.WEBHOOK_CLIENTS_FILE = clientsFile(env.WEBHOOK_CLIENTS_FILE);
+      }
+      assert.throws(() => loadWebhookClients(), message);
+    });
+  }
+
+  it('rejects a clients file that is not JSON', () => {
+    const file = clientsFile([]);
+    fs.writeFileSync(file, 'figma-plugin: secret');
+    process.env.WEBHOOK_CLIENTS_FILE = file;
+
+    assert.throws(() => loadWebhookClients(), SyntaxError);
+  });
+});
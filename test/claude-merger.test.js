@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateTokenSection } from '../src/claude-merger.js';
+import { RecordedLLMClient } from './helpers/recorded-llm-client.js';
+
+const recordings = new URL('./fixtures/llm/chunked.json', import.meta.url);
+
+/**
+ * Token declarations, one per line
+ * @param {number} count
+ * @param {(index: number) => string} declare - Declaration of the index-th token
+ * @returns {string}
+ */
+function lines(count, declare) {
+  return Array.from({ length: count }, (_, index) => `  ${declare(index)}`).join('\n');
+}
+
+// Sub-sections longer than one chunk (12000 characters), which Figma leaves unchanged
+const grays = lines(500, index => `--color-gray-${index}: #${index.toString(16).padStart(6, '0')};`);
+const surfaces = lines(350, index => `--surface-${index}: var(--color-gray-${index});`);
+
+/**
+ * A token section with a small sub-section before and after each large one
+ * @param {object} tokens - The declarations of the small sub-sections
+ * @returns {string}
+ */
+function tokenSection({ blue, redGreen, text, borders, dark }) {
+  return `@theme {
+  /* Blue */
+${blue}
+
+  /* Gray */
+${grays}
+
+  /* Red */
+${redGreen}
+}
+
+:root {
+  /* Text */
+${text}
+
+  /* Surfaces */
+${surfaces}
+
+  /* Borders */
+${borders}
+}
+
+.dark-theme {
+${dark}
+}`;
+}
+
+const oldSection = tokenSection({
+  blue: '  --color-blue-500: #0b8ce9;\n  --color-blue-600: #0a7bd0;',
+  redGreen: '  --color-red-500: #e5484d;\n\n  /* Green */\n  --color-green-500: #30a46c;',
+  text: '  --text-primary: var(--color-gray-0);',
+  borders: '  --border-default: var(--color-gray-200);',
+  dark: '  --text-primary: #ffffff;',
+});
+
+const newSection = tokenSection({
+  blue: '  --color-blue-500: #1a8cf0;\n  --color-blue-600: #0a7bd0;\n  --color-blue-700: #0862a8;',
+  redGreen: '  --color-red-500: #e5484d;\n  --color-red-600: #c53030;\n\n  /* Green */\n  --color-green-500: #30a46c;',
+  text: '  --text-primary: var(--color-gray-10);',
+  borders: '  --border-default: var(--color-gray-300);\n  --border-strong: var(--color-gray-400);',
+  dark: '  --text-primary: #fafafa;',
+});
+
+describe('updateTokenSection', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('splits blocks larger than one chunk at their comments and only sends the chunks with new tokens', async () => {
+    const llm = new RecordedLLMClient(recordings);
+
+    const updated = await updateTokenSection(oldSection, newSection, llm);
+
+    assert.ok(oldSection.length > 2 * 12000);
+    // Each large sub-section is a chunk of its own, which is left out as nothing in it changed
+    assert.deepEqual(llm.calls, [
+      '@theme (lines 1-6 of the token section)',
+      '@theme (lines 508-513 of the token section)',
+      ':root (lines 515-519 of the token section)',
+      ':root (lines 871-873 of the token section)',
+      '.dark-theme (lines 875-877 of the token section)',
+    ]);
+    assert.equal(updated, newSection);
+  });
+
+  it('places added tokens in the chunk that declares their neighbour', async () => {
+    const llm = new RecordedLLMClient(recordings);
+    const prompts = [];
+    const client = {
+      model: llm.model,
+      complete: (prompt, description) => {
+        prompts.push(prompt);
+        return llm.complete(prompt, description);
+      },
+    };
+
+    await updateTokenSection(oldSection, newSection, client);
+
+    const newTokensOf = prompt => prompt.match(/NEW TOKENS TO MERGE:\n([^]*?)\n\nRULES:/)[1].split('\n');
+    assert.deepEqual(prompts.map(newTokensOf), [
+      ['--color-blue-500: #1a8cf0;', '--color-blue-700: #0862a8;'],
+      ['--color-red-600: #c53030;'],
+      ['--text-primary: var(--color-gray-10);'],
+      ['--border-default: var(--color-gray-300);', '--border-strong: var(--color-gray-400);'],
+      ['--text-primary: #fafafa;'],
+    ]);
+  });
+
+  it('merges at most 4 chunks at a time', async () => {
+    const llm = new RecordedLLMClient(recordings);
+    const batches = [];
+    let inFlight = 0;
+    const client = {
+      model: llm.model,
+      complete: async (prompt, description) => {
+        inFlight++;
+        batches.push(inFlight);
+        try {
+          await new Promise(resolve => setImmediate(resolve));
+          return await llm.complete(prompt, description);
+        } finally {
+          inFlight--;
+        }
+      },
+    };
+
+    const updated = await updateTokenSection(oldSection, newSection, client);
+
+    // In flight when each request started: a batch of 4, then the fifth on its own
+    assert.deepEqual(batches, [1, 2, 3, 4, 1]);
+    assert.equal(updated, newSection);
+  });
+});
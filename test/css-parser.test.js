@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractDesignTokenSection, extractTokenValues, parseCSS, printCSS } from '../src/css-parser.js';
+
+const fixtures = new URL('./fixtures/css/', import.meta.url);
+
+/**
+ * @param {string} name - File in test/fixtures/css
+ * @returns {string}
+ */
+function readFixture(name) {
+  return fs.readFileSync(new URL(name, fixtures), 'utf-8');
+}
+
+/**
+ * Token values of a section as plain arrays, for deepEqual
+ * @param {string} content
+ * @param {Array<string>} [selectors]
+ * @returns {Array<[string, Array<[string, string]>]>}
+ */
+function tokenValues(content, selectors) {
+  return [...extractTokenValues(content, selectors)].map(([selector, tokens]) => [selector, [...tokens]]);
+}
+
+describe('parseCSS and printCSS', () => {
+  for (const name of fs.readdirSync(fixtures).filter(file => file.endsWith('.css'))) {
+    it(`prints ${name} back byte for byte`, () => {
+      const css = readFixture(name);
+      assert.equal(printCSS(parseCSS(css)), css);
+    });
+  }
+});
+
+describe('extractDesignTokenSection', () => {
+  it('ignores braces in comments', () => {
+    const section = extractDesignTokenSection(readFixture('braces-in-comments.css'));
+
+    assert.deepEqual([section.startLine, section.endLine], [2, 15]);
+    assert.deepEqual(tokenValues(section.content), [
+      ['@theme', [['--color-blue-500', '#0b8ce9'], ['--color-red-500', '#e04e48']]],
+      [':root', [['--bg-base', 'var(--color-blue-500)']]],
+      ['.dark-theme', [['--bg-base', '#000']]],
+    ]);
+  });
+
+  it('ignores braces in strings', () => {
+    const section = extractDesignTokenSection(readFixture('braces-in-strings.css'));
+
+    assert.deepEqual([section.startLine, section.endLine], [1, 13]);
+    assert.deepEqual(tokenValues(section.content), [
+      ['@theme', [['--font-sans', '"Inter {var}", sans-serif'], ['--content-open', "'{'"]]],
+      [':root', [['--content-close', '"}"'], ['--quote', '"a \\" } b"']]],
+      ['.dark-theme', [['--content-close', "'}}'"]]],
+    ]);
+  });
+
+  it('matches selectors split across lines', () => {
+    const section = extractDesignTokenSection(readFixture('multiline-selectors.css'));
+
+    assert.deepEqual(section.blocks, [
+      { selector: '@theme', startLine: 1, endLine: 4 },
+      { selector: ':root', startLine: 6, endLine: 9 },
+      { selector: '.dark-theme', startLine: 11, endLine: 15 },
+    ]);
+    assert.doesNotMatch(section.content, /\.card/);
+  });
+
+  it('finds blocks sharing a line with each other and other rules', () => {
+    const section = extractDesignTokenSection(readFixture('shared-line-blocks.css'));
+
+    assert.deepEqual(section.blocks.map(block => [block.selector, block.startLine, block.endLine]), [
+      ['@theme', 1, 1],
+      [':root', 2, 2],
+      ['.dark-theme', 2, 2],
+    ]);
+    assert.deepEqual(tokenValues(section.content)[0], ['@theme', [['--color-white', '#fff'], ['--color-black', '#000']]]);
+  });
+
+  it('leaves out @theme inline and nested blocks unless configured', () => {
+    const css = readFixture('theme-inline-and-nested.css');
+
+    const section = extractDesignTokenSection(css);
+    assert.deepEqual([section.startLine, section.endLine], [7, 18]);
+    assert.doesNotMatch(section.content, /--color-surface|@media/);
+
+    const selectors = ['@theme', ':root', '.dark-theme', '@media (prefers-color-scheme: dark)'];
+    const withMediaTheme = extractDesignTokenSection(css, selectors);
+    assert.deepEqual([withMediaTheme.startLine, withMediaTheme.endLine], [7, 24]);
+    assert.deepEqual(tokenValues(withMediaTheme.content, selectors).at(-1), ['@media (prefers-color-scheme: dark)', [['--bg-base', 'var(--color-black)']]]);
+  });
+
+  it('returns null when a required block is missing', () => {
+    const css = readFixture('braces-in-comments.css').replace(/\.dark-theme \{[^}]*\}\n/, '');
+
+    assert.equal(extractDesignTokenSection(css), null);
+    assert.equal(extractDesignTokenSection(css, undefined, { required: ['@theme', ':root'] }).blocks.length, 2);
+  });
+});
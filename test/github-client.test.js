@@ -0,0 +1,153 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubClient } from '../src/github-client.js';
+
+/**
+ * Octokit stand-in serving one tree, counting the API calls made
+ * @param {Object<string, string>} files - Path -> content
+ * @returns {{rest: object, calls: {getTree: number, getBlob: number}}}
+ */
+function mockOctokit(files) {
+  const blobs = new Map(Object.entries(files).map(([path, content]) => [`blob-${path}-${content.length}`, content]));
+  const calls = { getTree: 0, getBlob: 0 };
+
+  return {
+    calls,
+    rest: {
+      git: {
+        async getTree({ tree_sha: treeSha, recursive }) {
+          calls.getTree++;
+          assert.equal(treeSha, 'main');
+          assert.equal(recursive, 'true');
+          return {
+            data: {
+              truncated: false,
+              tree: [
+                { path: 'src', type: 'tree', sha: 'tree-src' },
+                ...[...blobs.keys()].map(sha => ({ path: sha.split('-').slice(1, -1).join('-'), type: 'blob', sha })),
+              ],
+            },
+          };
+        },
+        async getBlob({ file_sha: sha }) {
+          calls.getBlob++;
+          return { data: { content: Buffer.from(blobs.get(sha)).toString('base64'), encoding: 'base64' } };
+        },
+      },
+    },
+  };
+}
+
+describe('GitHubClient.findTokenUsages', () => {
+  const files = {
+    'src/components/Button.vue': '<button class="bg-blue-500 hover:text-blue-700/50">Go</button>',
+    'src/styles/app.css': '.card { color: var(--text-accent); }',
+    'src/logo.png': 'var(--color-blue-500)',
+    'node_modules/lib/index.js': 'bg-blue-500',
+    'packages/design-system/src/css/style.css': '--color-blue-500: #1a8cf0;',
+  };
+
+  it('scans the source files of the tree for token usages', async () => {
+    const octokit = mockOctokit(files);
+    const github = new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', octokit);
+
+    const usages = await github.findTokenUsages(
+      ['--color-blue-500', '--color-blue-700', '--text-accent', '--bg-base'],
+      'main',
+      { exclude: ['packages/design-system/src/css/style.css'] }
+    );
+
+    assert.deepEqual(usages, [
+      { name: '--color-blue-500', files: ['src/components/Button.vue'] },
+      { name: '--color-blue-700', files: ['src/components/Button.vue'] },
+      { name: '--text-accent', files: ['src/styles/app.css'] },
+      { name: '--bg-base', files: [] },
+    ]);
+    assert.deepEqual(octokit.calls, { getTree: 1, getBlob: 2 });
+  });
+
+  it('reuses blobs fetched by other clients', async () => {
+    const octokit = mockOctokit({ ...files, 'src/App.vue': '<div class="text-blue-600" />' });
+    await new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', octokit).findTokenUsages(['--color-blue-600'], 'main');
+    octokit.calls.getBlob = 0;
+
+    const usages = await new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', octokit).findTokenUsages(['--color-blue-600'], 'main');
+
+    assert.deepEqual(usages, [{ name: '--color-blue-600', files: ['src/App.vue'] }]);
+    assert.equal(octokit.calls.getBlob, 0);
+  });
+
+  it('makes no API calls without tokens to look for', async () => {
+    const octokit = mockOctokit(files);
+
+    assert.deepEqual(await new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', octokit).findTokenUsages([], 'main'), []);
+    assert.deepEqual(octokit.calls, { getTree: 0, getBlob: 0 });
+  });
+});
+
+describe('GitHubClient.mergeBranch', () => {
+  /**
+   * @param {number} status - Status of the merge response
+   * @returns {object} Octokit stand-in
+   */
+  function mergeOctokit(status) {
+    return {
+      rest: {
+        repos: {
+          async merge({ base, head, commit_message: message }) {
+            assert.deepEqual([base, head, message], ['bot', 'main', 'Merge main']);
+            return { status, data: status === 201 ? { sha: 'merge-sha' } : '' };
+          },
+        },
+        git: {
+          async getRef({ ref }) {
+            assert.equal(ref, 'heads/bot');
+            return { data: { object: { sha: 'head-sha' } } };
+          },
+        },
+      },
+    };
+  }
+
+  it('returns the merge commit', async () => {
+    const github = new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', mergeOctokit(201));
+    assert.equal(await github.mergeBranch('bot', 'main', 'Merge main'), 'merge-sha');
+  });
+
+  it('returns the current head when there is nothing to merge', async () => {
+    const github = new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', mergeOctokit(204));
+    assert.equal(await github.mergeBranch('bot', 'main', 'Merge main'), 'head-sha');
+  });
+});
+
+describe('GitHubClient.getAuthenticatedLogin', () => {
+  /**
+   * @param {() => Promise<object>} getAuthenticated
+   * @returns {object} Octokit stand-in
+   */
+  function usersOctokit(getAuthenticated) {
+    return { rest: { users: { getAuthenticated } } };
+  }
+
+  it('reads the login once', async () => {
+    let calls = 0;
+    const github = new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', usersOctokit(async () => {
+      calls++;
+      return { data: { login: 'design-token-bot' } };
+    }));
+
+    assert.equal(await github.getAuthenticatedLogin(), 'design-token-bot');
+    assert.equal(await github.getAuthenticatedLogin(), 'design-token-bot');
+    assert.equal(calls, 1);
+  });
+
+  it('returns null for tokens that cannot read it', async () => {
+    mock.method(console, 'log', () => {});
+    const github = new GitHubClient('token', 'Comfy-Org', 'ComfyUI_frontend', usersOctokit(async () => {
+      throw Object.assign(new Error('Resource not accessible by integration'), { status: 403 });
+    }));
+
+    assert.equal(await github.getAuthenticatedLogin(), null);
+    mock.restoreAll();
+  });
+});
@@ -0,0 +1,311 @@
+import { createHash } from 'crypto';
+import { isScannableFile, scanTokenUsages } from '../../src/token-usage.js';
+
+/**
+ * In-memory stand-in for GitHubClient: branches point at commits, commits hold
+ * whole file trees, and pull requests are kept in a list. Every public method of
+ * GitHubClient the workflow uses is implemented with the same signature, so a
+ * workflow can run end-to-end without the GitHub API.
+ */
+export class FakeGitHubClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.defaultBranch='main']
+   * @param {Object<string, string>} [options.files] - Path -> content on the default branch
+   */
+  constructor({ defaultBranch = 'main', files = {} } = {}) {
+    this.defaultBranch = defaultBranch;
+    this.login = 'design-token-bot'; // Account the bot's own commits are made as
+    this.commits = new Map(); // sha -> {parent, parents, message, author, files: Map<path, content>}
+    this.branches = new Map(); // name -> sha
+    this.pullRequests = [];
+    this.commitCount = 0;
+
+    this.branches.set(defaultBranch, this.addCommit(null, new Map(Object.entries(files)), 'Initial commit'));
+  }
+
+  /**
+   * Push a commit to a branch, as another contributor would
+   * @param {string} branch
+   * @param {Object<string, string>} files - Path -> content to change
+   * @param {string} [message]
+   * @param {string} [author]
+   * @returns {string} The new head commit
+   */
+  push(branch, files, message = 'Update files', author = 'reviewer') {
+    const head = this.resolveRef(branch);
+    const tree = new Map(this.commits.get(head).files);
+    for (const [path, content] of Object.entries(files)) {
+      tree.set(path, content);
+    }
+    const sha = this.addCommit(head, tree, message, author);
+    this.branches.set(branch, sha);
+    return sha;
+  }
+
+  /**
+   * Merge a branch into another with a merge commit, as GitHub's "Update branch"
+   * button does. Files changed on both sides take the merged-in branch's content.
+   * @param {string} branch - Branch to merge into
+   * @param {string} fromBranch - Branch to merge
+   * @param {string} [message]
+   * @param {string} [author]
+   * @returns {string} The merge commit
+   */
+  merge(branch, fromBranch, message = `Merge branch '${fromBranch}' into ${branch}`, author = 'reviewer') {
+    const head = this.resolveRef(branch);
+    const other = this.resolveRef(fromBranch);
+
+    const tree = new Map(this.commits.get(head).files);
+    const base = this.commits.get(this.mergeBase(head, other)).files;
+    for (const [path, content] of this.commits.get(other).files) {
+      if (base.get(path) !== content) {
+        tree.set(path, content);
+      }
+    }
+
+    const sha = this.addCommit([head, other], tree, message, author);
+    this.branches.set(branch, sha);
+    return sha;
+  }
+
+  /**
+   * Read a file at a branch or commit (for assertions)
+   * @param {string} ref
+   * @param {string} path
+   * @returns {string | undefined}
+   */
+  readFile(ref, path) {
+    return this.commits.get(this.resolveRef(ref)).files.get(path);
+  }
+
+  async getDefaultBranch() {
+    return this.defaultBranch;
+  }
+
+  async getAuthenticatedLogin() {
+    return this.login;
+  }
+
+  async branchExists(branchName) {
+    return this.branches.has(branchName);
+  }
+
+  async getBranchHead(branch) {
+    return this.resolveRef(branch);
+  }
+
+  async getFileContent(filePath, branch) {
+    const content = this.readFile(branch, filePath);
+    if (content === undefined) {
+      throw notFound(`${filePath} at ${branch}`);
+    }
+    return { content, sha: blobSha(content) };
+  }
+
+  async createBranch(newBranchName, fromBranch) {
+    if (this.branches.has(newBranchName)) {
+      throw Object.assign(new Error('Reference already exists'), { status: 422 });
+    }
+    this.branches.set(newBranchName, this.resolveRef(fromBranch || this.defaultBranch));
+  }
+
+  async resetBranch(branch, fromBranch) {
+    const sha = this.resolveRef(fromBranch || this.defaultBranch);
+    this.branches.set(branch, sha);
+    return sha;
+  }
+
+  async mergeBranch(branch, fromBranch, commitMessage) {
+    const head = this.resolveRef(branch);
+    const other = this.resolveRef(fromBranch);
+    if (this.ancestors(head).has(other)) {
+      return head;
+    }
+
+    // Whole-file merge: unlike GitHub's line-by-line one, a file changed on both sides conflicts
+    const base = this.commits.get(this.mergeBase(head, other)).files;
+    const ours = this.commits.get(head).files;
+    for (const [path, content] of this.commits.get(other).files) {
+      if (content !== base.get(path) && ours.get(path) !== base.get(path) && ours.get(path) !== content) {
+        throw Object.assign(new Error('Merge conflict'), { status: 409 });
+      }
+    }
+    return this.merge(branch, fromBranch, commitMessage, this.login);
+  }
+
+  async getBranchStatus(branch, baseBranch) {
+    baseBranch = baseBranch || this.defaultBranch;
+    const pr = this.pullRequests.filter(candidate => candidate.head === branch && candidate.base === baseBranch).pop();
+
+    return {
+      aheadBy: (await this.listCommitsBetween(baseBranch, branch)).length,
+      behindBy: (await this.listCommitsBetween(branch, baseBranch)).length,
+      pullRequest: pr ? { number: pr.number, url: pr.url, state: pr.merged ? 'merged' : pr.state } : null,
+    };
+  }
+
+  async updateFile(filePath, content, branch, sha, commitMessage) {
+    const current = this.readFile(branch, filePath);
+    if (current !== undefined && blobSha(current) !== sha) {
+      throw Object.assign(new Error(`${filePath} does not match ${sha}`), { status: 409 });
+    }
+    this.push(branch, { [filePath]: content }, commitMessage, this.login);
+  }
+
+  async commitFiles(branch, files, commitMessage, { maxRetries = 3, expectedSha } = {}) {
+    const buildFiles = typeof files === 'function' ? files : async () => files;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const headSha = this.resolveRef(branch);
+      if (attempt === 0 && expectedSha && headSha !== expectedSha) {
+        continue;
+      }
+      const changes = await buildFiles(headSha, attempt);
+      if (changes.length === 0) {
+        return { sha: headSha, changed: false, attempts: attempt + 1 };
+      }
+
+      // Someone pushed while the files were being built: retry on the new head
+      if (this.branches.get(branch) !== headSha) {
+        continue;
+      }
+
+      const sha = this.push(branch, Object.fromEntries(changes.map(file => [file.path, file.content])), commitMessage, this.login);
+      return { sha, changed: true, attempts: attempt + 1 };
+    }
+
+    throw Object.assign(new Error('Update is not a fast forward'), { status: 422 });
+  }
+
+  async listCommitsBetween(baseBranch, headBranch) {
+    const baseHistory = this.ancestors(this.resolveRef(baseBranch));
+
+    return [...this.ancestors(this.resolveRef(headBranch))]
+      .filter(sha => !baseHistory.has(sha))
+      .reverse()
+      .map(sha => {
+        const { parent, parents, message, author } = this.commits.get(sha);
+        return { sha, parent, parentCount: parents.length, message, author, committer: author };
+      });
+  }
+
+  async findTokenUsages(tokenNames, ref, { exclude = [] } = {}) {
+    const files = [...this.commits.get(this.resolveRef(ref)).files]
+      .filter(([path]) => isScannableFile(path, exclude))
+      .map(([path, content]) => ({ path, content }));
+    return tokenNames.length === 0 ? [] : scanTokenUsages(files, tokenNames);
+  }
+
+  async getPullRequest(headBranch, baseBranch) {
+    const pr = this.pullRequests.find(
+      candidate => candidate.head === headBranch && candidate.base === (baseBranch || this.defaultBranch) && candidate.state === 'open'
+    );
+    return pr ? { exists: true, number: pr.number, url: pr.url } : { exists: false };
+  }
+
+  async createPullRequest(title, headBranch, baseBranch, body = '') {
+    const number = this.pullRequests.length + 1;
+    const pr = {
+      number,
+      url: `https://github.com/fake/repo/pull/${number}`,
+      title,
+      head: headBranch,
+      base: baseBranch || this.defaultBranch,
+      body,
+      state: 'open',
+      comments: [],
+    };
+    this.pullRequests.push(pr);
+    return { number, url: pr.url };
+  }
+
+  async updatePullRequestBody(pullNumber, body) {
+    this.pullRequests.find(pr => pr.number === pullNumber).body = body;
+  }
+
+  async reopenPullRequest(pullNumber) {
+    const pr = this.pullRequests.find(candidate => candidate.number === pullNumber);
+    pr.state = 'open';
+    return { number: pr.number, url: pr.url };
+  }
+
+  async createPullRequestComment(pullNumber, body) {
+    this.pullRequests.find(pr => pr.number === pullNumber).comments.push(body);
+  }
+
+  /**
+   * @param {string} ref - Branch name or commit SHA
+   * @returns {string} Commit SHA
+   */
+  resolveRef(ref) {
+    if (this.branches.has(ref)) {
+      return this.branches.get(ref);
+    }
+    if (this.commits.has(ref)) {
+      return ref;
+    }
+    throw notFound(ref);
+  }
+
+  /**
+   * A commit and all the commits it descends from, newest first
+   * @param {string} sha
+   * @returns {Set<string>}
+   */
+  ancestors(sha) {
+    const seen = new Set();
+    const queue = [sha];
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(...this.commits.get(next).parents);
+      }
+    }
+    return new Set([...seen].sort((a, b) => this.commits.get(b).order - this.commits.get(a).order));
+  }
+
+  /**
+   * Latest commit two commits both descend from
+   * @param {string} sha
+   * @param {string} otherSha
+   * @returns {string}
+   */
+  mergeBase(sha, otherSha) {
+    const ancestors = this.ancestors(sha);
+    return [...this.ancestors(otherSha)].find(candidate => ancestors.has(candidate));
+  }
+
+  /**
+   * @param {string | Array<string> | null} parent - Parent commit, or both parents of a merge commit
+   * @param {Map<string, string>} files
+   * @param {string} message
+   * @param {string} [author]
+   * @returns {string} SHA of the new commit
+   */
+  addCommit(parent, files, message, author = 'reviewer') {
+    const parents = parent === null ? [] : [parent].flat();
+    const sha = createHash('sha1').update(`commit ${++this.commitCount}`).digest('hex');
+    this.commits.set(sha, { parent: parents[0] || null, parents, order: this.commitCount, message, author, files });
+    return sha;
+  }
+}
+
+/**
+ * Git blob SHA of a file content
+ * @param {string} content
+ * @returns {string}
+ */
+function blobSha(content) {
+  return createHash('sha1').update(`blob ${Buffer.byteLength(content)}\0${content}`).digest('hex');
+}
+
+/**
+ * Error shaped like Octokit's for a missing resource
+ * @param {string} what
+ * @returns {Error}
+ */
+function notFound(what) {
+  return Object.assign(new Error(`Not Found: ${what}`), { status: 404 });
+}
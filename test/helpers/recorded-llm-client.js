@@ -0,0 +1,81 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import { LLMClient, LLMTruncationError, loadLLMConfig } from '../../src/llm-client.js';
+
+/**
+ * LLM client that replays recorded replies, so merges run offline and give the
+ * same result every time
+ *
+ * Replies are looked up by a hash of the prompt in a JSON recordings file. A
+ * prompt without a recording fails the test. Run the tests with RECORD_LLM=1 to
+ * send unknown prompts to the real LLM (configured with the usual LLM_* and
+ * ANTHROPIC_API_KEY variables) and add the replies to the file.
+ */
+export class RecordedLLMClient {
+  /**
+   * @param {string | URL} file - Recordings file
+   * @param {object} [options]
+   * @param {boolean} [options.record] - Record missing replies (default: RECORD_LLM=1)
+   */
+  constructor(file, { record = process.env.RECORD_LLM === '1' } = {}) {
+    this.file = file;
+    this.record = record;
+    this.model = 'recorded';
+    this.maxTokens = 8000;
+    this.document = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : { recordings: [] };
+    this.recordings = this.document.recordings;
+    this.calls = []; // Descriptions of the prompts sent, in order
+  }
+
+  /**
+   * @param {string} prompt
+   * @param {string} description
+   * @returns {Promise<string>}
+   */
+  async complete(prompt, description) {
+    this.calls.push(description);
+    const promptHash = createHash('sha256').update(prompt).digest('hex');
+
+    let recording = this.recordings.find(candidate => candidate.promptHash === promptHash);
+    if (!recording) {
+      if (!this.record) {
+        throw new Error(
+          `No recorded LLM reply for ${description} (prompt ${promptHash.slice(0, 12)}) in ${this.file}; run the tests with RECORD_LLM=1 to record it`
+        );
+      }
+      recording = await this.recordReply(prompt, promptHash, description);
+    }
+
+    if (recording.truncated) {
+      throw new LLMTruncationError(description, this.maxTokens);
+    }
+    return recording.response;
+  }
+
+  /**
+   * Ask the real LLM and save its reply
+   * @param {string} prompt
+   * @param {string} promptHash
+   * @param {string} description
+   * @returns {Promise<object>} The new recording
+   */
+  async recordReply(prompt, promptHash, description) {
+    if (!this.client) {
+      this.client = new LLMClient(loadLLMConfig());
+    }
+
+    const recording = { description, promptHash, prompt };
+    try {
+      recording.response = await this.client.complete(prompt, description);
+    } catch (error) {
+      if (!(error instanceof LLMTruncationError)) {
+        throw error;
+      }
+      recording.truncated = true;
+    }
+
+    this.recordings.push(recording);
+    fs.writeFileSync(this.file, `${JSON.stringify(this.document, null, 2)}\n`);
+    return recording;
+  }
+}
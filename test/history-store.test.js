@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore } from '../src/history-store.js';
+
+describe('HistoryStore', () => {
+  it('persists entries and lists them newest first, per target', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'data', 'history.json');
+    const store = new HistoryStore(file);
+    await store.load();
+
+    const first = await store.add({ target: 'design-system', commitSha: 'a1' });
+    const second = await store.add({ target: 'docs', commitSha: 'b2' });
+    const third = await store.add({ target: 'design-system', commitSha: 'c3' });
+
+    const reloaded = new HistoryStore(file);
+    await reloaded.load();
+
+    assert.deepEqual(reloaded.list().map(entry => entry.id), [third.id, second.id, first.id]);
+    assert.deepEqual(reloaded.list({ target: 'design-system' }).map(entry => entry.commitSha), ['c3', 'a1']);
+    assert.equal(reloaded.get(second.id).target, 'docs');
+    assert.equal(reloaded.get('missing'), null);
+  });
+
+  it('keeps only the most recent entries of each target', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'history.json');
+    const store = new HistoryStore(file, { maxEntriesPerTarget: 2 });
+    await store.load();
+
+    for (const commitSha of ['a1', 'b2', 'c3']) {
+      await store.add({ target: 'design-system', commitSha });
+    }
+    await store.add({ target: 'docs', commitSha: 'd4' });
+
+    const reloaded = new HistoryStore(file);
+    await reloaded.load();
+    assert.deepEqual(reloaded.list().map(entry => entry.commitSha), ['d4', 'c3', 'b2']);
+  });
+
+  it('rejects a cap below one entry', () => {
+    assert.throws(() => new HistoryStore('history.json', { maxEntriesPerTarget: 0 }), /at least one entry per target/);
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../src/job-queue.js';
+import { JobStore } from '../src/job-store.js';
+
+/**
+ * Resolve once the queue has no pending or running jobs
+ * @param {JobQueue} queue
+ * @returns {Promise<void>}
+ */
+async function settled(queue) {
+  while (queue.running || queue.pending.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('JobQueue', () => {
+  let store;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    store = new JobStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-')), 'jobs.json'));
+    await store.load();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('coalesces submissions arriving inside the debounce window into one job', async () => {
+    const runs = [];
+    const queue = new JobQueue(store, async input => {
+      runs.push(input);
+      return { success: true };
+    }, {
+      debounce: () => 50,
+      coalesce: (queued, incoming) => ({ values: [...queued.values, ...incoming.values] }),
+    });
+
+    const first = await queue.enqueue({ values: [1] }, { submittedBy: 'figma-plugin' });
+    const second = await queue.enqueue({ values: [2] });
+    const third = await queue.enqueue({ values: [3] });
+    await settled(queue);
+
+    assert.deepEqual(runs, [{ values: [1, 2, 3] }]);
+    assert.equal(queue.getStatus(first.id).state, 'succeeded');
+    assert.deepEqual(queue.getStatus(first.id).absorbed, [second.id, third.id]);
+    assert.equal(queue.getStatus(second.id).state, 'absorbed');
+    assert.equal(queue.getStatus(third.id).absorbedInto, first.id);
+  });
+
+  it('queues a separate job when the submissions cannot be combined or the window has passed', async () => {
+    const runs = [];
+    const queue = new JobQueue(store, async input => {
+      runs.push(input.branch);
+      return { success: true };
+    }, {
+      debounce: () => 30,
+      coalesce: (queued, incoming) => (queued.branch === incoming.branch ? incoming : null),
+    });
+
+    await queue.enqueue({ branch: 'main' });
+    await queue.enqueue({ branch: 'release' });
+    await settled(queue);
+    await queue.enqueue({ branch: 'release' });
+    await settled(queue);
+
+    assert.deepEqual(runs, ['main', 'release', 'release']);
+    assert.equal(store.list().filter(job => job.state === 'absorbed').length, 0);
+  });
+
+  it('debounces and coalesces each key on its own', async () => {
+    const runs = [];
+    const queue = new JobQueue(store, async input => {
+      runs.push(`${input.target}: ${input.values.join(',')}`);
+      return { success: true };
+    }, {
+      key: input => input.target,
+      debounce: input => (input.target === 'slow' ? 150 : 0),
+      coalesce: (queued, incoming) => ({ ...incoming, values: [...queued.values, ...incoming.values] }),
+    });
+
+    const slow = await queue.enqueue({ target: 'slow', values: [1] });
+    await queue.enqueue({ target: 'fast', values: [2] });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const fastRuns = [...runs];
+    const absorbed = await queue.enqueue({ target: 'slow', values: [3] });
+    await settled(queue);
+
+    assert.deepEqual(fastRuns, ['fast: 2']);
+    assert.deepEqual(runs, ['fast: 2', 'slow: 1,3']);
+    assert.equal(absorbed.absorbedInto, slow.id);
+  });
+
+  it('drops the input of a job once it has finished', async () => {
+    const queue = new JobQueue(store, async () => ({ success: true, prUrl: 'https://github.com/fake/repo/pull/1' }));
+
+    const job = await queue.enqueue({ css: ':root { --bg: #fff; }' });
+    await settled(queue);
+
+    const reloaded = new JobStore(store.filePath);
+    await reloaded.load();
+    assert.equal(reloaded.get(job.id).state, 'succeeded');
+    assert.equal('input' in reloaded.get(job.id), false);
+  });
+
+  it('keeps running when the store cannot be written', async () => {
+    mock.method(console, 'error', () => {});
+    const unhandled = [];
+    const onRejection = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onRejection);
+
+    try {
+      const queue = new JobQueue(store, async () => ({ success: true }), { debounce: () => 20 });
+      const job = await queue.enqueue({ css: ':root {}' });
+      mock.method(store, 'save', async () => {
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      });
+      await settled(queue);
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(queue.getStatus(job.id).state, 'failed');
+      assert.match(queue.getStatus(job.id).error, /ENOSPC/);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onRejection);
+    }
+  });
+});
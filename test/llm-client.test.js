@@ -0,0 +1,198 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMClient, LLMTruncationError, loadLLMConfig } from '../src/llm-client.js';
+
+/**
+ * Error shaped like the Anthropic SDK's for a failed request
+ * @param {number} status
+ * @param {Object<string, string>} [headers]
+ * @returns {Error}
+ */
+function apiError(status, headers = {}) {
+  return Object.assign(new Error(`${status} error`), { status, headers });
+}
+
+/**
+ * Anthropic client whose messages.create replies in turn with the given outcomes
+ * @param {LLMClient} client
+ * @param {Array<Error | object>} outcomes - Errors to throw or messages to return
+ * @returns {Array<object>} The requests made
+ */
+function stubAnthropic(client, outcomes) {
+  const requests = [];
+  client.anthropic = {
+    messages: {
+      async create(request) {
+        requests.push(request);
+        const outcome = outcomes.shift();
+        if (outcome instanceof Error) {
+          throw outcome;
+        }
+        return outcome;
+      },
+    },
+  };
+  return requests;
+}
+
+describe('LLMClient', () => {
+  let delays;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    // Record the retry delays instead of waiting them out
+    delays = [];
+    const setTimeout = globalThis.setTimeout;
+    mock.method(globalThis, 'setTimeout', (callback, delay) => {
+      delays.push(delay);
+      return setTimeout(callback, 0);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retries rate-limited and overloaded responses with exponential backoff', async () => {
+    const client = new LLMClient({ apiKey: 'test-key', maxRetries: 3 });
+    const requests = stubAnthropic(client, [
+      apiError(429),
+      apiError(529),
+      { content: [{ text: ':root {}' }], stop_reason: 'end_turn' },
+    ]);
+
+    assert.equal(await client.complete('Merge', ':root'), ':root {}');
+    assert.equal(requests.length, 3);
+    assert.deepEqual(delays, [1000, 2000]);
+  });
+
+  it('waits as long as retry-after asks', async () => {
+    const client = new LLMClient({ apiKey: 'test-key' });
+    stubAnthropic(client, [
+      apiError(429, { 'retry-after': '7' }),
+      { content: [{ text: ':root {}' }], stop_reason: 'end_turn' },
+    ]);
+
+    await client.complete('Merge', ':root');
+
+    assert.deepEqual(delays, [7000]);
+  });
+
+  it('gives up after maxRetries retries', async () => {
+    const client = new LLMClient({ apiKey: 'test-key', maxRetries: 2, retryDelay: 10 });
+    const requests = stubAnthropic(client, [apiError(529), apiError(529), apiError(529), apiError(529)]);
+
+    await assert.rejects(client.complete('Merge', ':root'), { status: 529 });
+    assert.equal(requests.length, 3);
+    assert.deepEqual(delays, [10, 20]);
+  });
+
+  it('does not retry other errors', async () => {
+    const client = new LLMClient({ apiKey: 'test-key' });
+    const requests = stubAnthropic(client, [apiError(400)]);
+
+    await assert.rejects(client.complete('Merge', ':root'), { status: 400 });
+    assert.equal(requests.length, 1);
+    assert.deepEqual(delays, []);
+  });
+
+  it('refuses a reply cut off at the output limit', async () => {
+    const client = new LLMClient({ apiKey: 'test-key', maxTokens: 100 });
+    stubAnthropic(client, [{ content: [{ text: ':root { --a' }], stop_reason: 'max_tokens' }]);
+
+    await assert.rejects(client.complete('Merge', ':root'), LLMTruncationError);
+  });
+
+  it('sends OpenAI-compatible chat completions and retries them', async () => {
+    const requests = [];
+    const replies = [
+      new Response('slow down', { status: 429, headers: { 'retry-after': '2' } }),
+      Response.json({ choices: [{ message: { content: ':root {}' }, finish_reason: 'stop' }] }),
+    ];
+    mock.method(globalThis, 'fetch', async (url, options) => {
+      requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+      return replies.shift();
+    });
+    const client = new LLMClient({
+      provider: 'openai',
+      model: 'local-model',
+      apiKey: 'test-key',
+      baseURL: 'http://localhost:8080/v1/',
+      temperature: 0,
+      maxTokens: 500,
+    });
+
+    assert.equal(await client.complete('Merge', ':root'), ':root {}');
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].url, 'http://localhost:8080/v1/chat/completions');
+    assert.equal(requests[0].headers.Authorization, 'Bearer test-key');
+    assert.deepEqual(requests[0].body, {
+      model: 'local-model',
+      max_tokens: 500,
+      temperature: 0,
+      messages: [{ role: 'user', content: 'Merge' }],
+    });
+    assert.deepEqual(delays, [2000]);
+  });
+
+  it('refuses an OpenAI-compatible reply cut off at the output limit', async () => {
+    mock.method(globalThis, 'fetch', async () => Response.json({
+      choices: [{ message: { content: ':root { --a' }, finish_reason: 'length' }],
+    }));
+    const client = new LLMClient({ provider: 'openai', model: 'local-model' });
+
+    await assert.rejects(client.complete('Merge', ':root'), LLMTruncationError);
+  });
+
+  it('rejects invalid numeric settings', () => {
+    assert.throws(() => new LLMClient({ apiKey: 'test-key', maxRetries: NaN }), /maxRetries must be an integer of at least 0/);
+    assert.throws(() => new LLMClient({ apiKey: 'test-key', maxTokens: 0 }), /maxTokens must be an integer of at least 1/);
+    assert.throws(() => new LLMClient({ apiKey: 'test-key', temperature: -1 }), /temperature must be a number of at least 0/);
+  });
+});
+
+describe('loadLLMConfig', () => {
+  const names = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_TEMPERATURE', 'LLM_MAX_TOKENS', 'LLM_MAX_RETRIES'];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+    for (const name of names) {
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const name of names) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  });
+
+  it('reads the numeric settings, with defaults', () => {
+    const defaults = loadLLMConfig();
+    assert.deepEqual([defaults.temperature, defaults.maxTokens, defaults.maxRetries], [undefined, 8000, 3]);
+
+    Object.assign(process.env, { LLM_TEMPERATURE: '0.2', LLM_MAX_TOKENS: '4000', LLM_MAX_RETRIES: '0' });
+    const config = loadLLMConfig();
+    assert.deepEqual([config.temperature, config.maxTokens, config.maxRetries], [0.2, 4000, 0]);
+  });
+
+  for (const [name, value, message] of [
+    ['LLM_MAX_RETRIES', 'abc', /LLM_MAX_RETRIES must be an integer of at least 0 \(got "abc"\)/],
+    ['LLM_MAX_RETRIES', '1.5', /LLM_MAX_RETRIES must be an integer/],
+    ['LLM_MAX_RETRIES', '-1', /LLM_MAX_RETRIES must be an integer of at least 0/],
+    ['LLM_MAX_TOKENS', '-5', /LLM_MAX_TOKENS must be an integer of at least 1 \(got "-5"\)/],
+    ['LLM_MAX_TOKENS', '0', /LLM_MAX_TOKENS must be an integer of at least 1/],
+    ['LLM_TEMPERATURE', 'warm', /LLM_TEMPERATURE must be a number of at least 0 \(got "warm"\)/],
+    ['LLM_TEMPERATURE', 'Infinity', /LLM_TEMPERATURE must be a number/],
+  ]) {
+    it(`rejects ${name}=${value}`, () => {
+      process.env[name] = value;
+      assert.throws(() => loadLLMConfig(), message);
+    });
+  }
+});
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDesignTokenSection } from '../src/css-parser.js';
+import { validateMergedCSS } from '../src/merge-validator.js';
+
+describe('validateMergedCSS', () => {
+  it('flags references to removed tokens that nothing declares any more', () => {
+    const oldCSS = '@theme {\n  --color-blue-600: #0a7bd0;\n}\n\n:root {\n  --text-accent: var(--color-blue-600);\n}\n\n.dark-theme {\n  --text-accent: #fff;\n}\n';
+    const mergedCSS = oldCSS.replace('  --color-blue-600: #0a7bd0;\n', '');
+
+    const violations = validateMergedCSS({
+      oldCSS,
+      mergedCSS,
+      oldSection: extractDesignTokenSection(oldCSS),
+      newSectionContent: '',
+      removedTokens: [{ selector: '@theme', name: '--color-blue-600' }],
+    });
+
+    assert.deepEqual(violations.map(violation => [violation.type, violation.selector, violation.token]), [
+      ['dangling-reference', ':root', '--text-accent'],
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSyncTargets } from '../src/targets.js';
+
+// Every variable loadSyncTargets reads; each test starts with all of them unset
+const ENV_VARS = [
+  'TARGETS_FILE', 'GITHUB_OWNER', 'GITHUB_REPO', 'TARGET_FILE_PATH', 'BOT_BRANCH', 'BASE_BRANCH',
+  'BOT_BRANCH_MAX_BEHIND', 'THEME_SELECTORS', 'REMOVAL_POLICY', 'TOKEN_USAGE_SCAN', 'HUMAN_EDIT_POLICY',
+  'DEBOUNCE_SECONDS', 'CONTRAST_PAIRS', 'CONTRAST_LEVEL', 'CONTRAST_BLOCK',
+  'EXPORT_JSON_PATH', 'EXPORT_TS_PATH', 'EXPORT_TAILWIND_PATH',
+];
+
+const TARGET = {
+  id: 'design-system',
+  owner: 'Comfy-Org',
+  repo: 'ComfyUI_frontend',
+  path: 'packages/design-system/src/css/style.css',
+  botBranch: 'bot-update-design-tokens',
+};
+
+/**
+ * Point TARGETS_FILE at a file holding a config
+ * @param {*} config
+ * @returns {string} The file
+ */
+function useTargetsFile(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'targets-')), 'targets.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  process.env.TARGETS_FILE = file;
+  return file;
+}
+
+describe('loadSyncTargets', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+    for (const name of ENV_VARS) {
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const name of ENV_VARS) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  });
+
+  it('builds a default target from the environment', () => {
+    Object.assign(process.env, {
+      GITHUB_OWNER: 'Comfy-Org',
+      GITHUB_REPO: 'ComfyUI_frontend',
+      TARGET_FILE_PATH: 'style.css',
+      BOT_BRANCH: 'bot',
+      THEME_SELECTORS: '.dark-theme, [data-theme="a,b"], @media (prefers-color-scheme: dark)',
+      CONTRAST_PAIRS: '--text-primary:--bg-base, --text-muted:--bg-base',
+      EXPORT_JSON_PATH: 'tokens.json',
+    });
+
+    const [target] = loadSyncTargets();
+
+    assert.deepEqual(target, {
+      id: 'default',
+      owner: 'Comfy-Org',
+      repo: 'ComfyUI_frontend',
+      path: 'style.css',
+      baseBranch: null,
+      botBranch: 'bot',
+      maxBranchBehind: 50,
+      themes: ['.dark-theme', '[data-theme="a,b"]', '@media (prefers-color-scheme: dark)'],
+      blocks: ['@theme', ':root', '.dark-theme', '[data-theme="a,b"]', '@media (prefers-color-scheme: dark)'],
+      removalPolicy: 'keep',
+      usageScan: 'warn',
+      humanEditPolicy: 'keep',
+      debounceSeconds: 0,
+      contrast: {
+        pairs: [
+          { foreground: '--text-primary', background: '--bg-base' },
+          { foreground: '--text-muted', background: '--bg-base' },
+        ],
+        level: 'AA',
+        block: false,
+      },
+      exports: { json: 'tokens.json', ts: undefined, tailwind: undefined },
+    });
+  });
+
+  it('reads targets from TARGETS_FILE, as a list or under "targets"', () => {
+    process.env.GITHUB_OWNER = 'Comfy-Org';
+    const docs = { id: 'docs', repo: 'docs', path: 'theme.css', botBranch: 'bot-docs', themes: ['.dark'], blocks: [':root', ' .dark '] };
+
+    for (const config of [[TARGET, docs], { targets: [TARGET, docs] }]) {
+      useTargetsFile(config);
+      const targets = loadSyncTargets();
+
+      assert.deepEqual(targets.map(target => target.id), ['design-system', 'docs']);
+      assert.equal(targets[1].owner, 'Comfy-Org');
+      assert.deepEqual(targets[1].blocks, [':root', '.dark']);
+    }
+  });
+
+  it('takes the target settings over the environment defaults', () => {
+    Object.assign(process.env, { REMOVAL_POLICY: 'remove', DEBOUNCE_SECONDS: '10', CONTRAST_LEVEL: 'AAA' });
+    useTargetsFile([
+      {
+        ...TARGET,
+        baseBranch: 'release',
+        maxBranchBehind: 0,
+        removalPolicy: 'deprecate',
+        usageScan: 'strict',
+        humanEditPolicy: 'flag',
+        debounceSeconds: 30,
+        contrast: { pairs: ['--a:--b', { foreground: '--c', background: '--d', large: true }], block: true },
+        exports: { ts: 'tokens.ts' },
+      },
+      { ...TARGET, id: 'env-defaults' },
+    ]);
+
+    const [target, defaults] = loadSyncTargets();
+
+    assert.equal(target.baseBranch, 'release');
+    assert.equal(target.maxBranchBehind, 0);
+    assert.equal(target.removalPolicy, 'deprecate');
+    assert.equal(target.usageScan, 'strict');
+    assert.equal(target.humanEditPolicy, 'flag');
+    assert.equal(target.debounceSeconds, 30);
+    assert.deepEqual(target.contrast, {
+      pairs: [{ foreground: '--a', background: '--b' }, { foreground: '--c', background: '--d', large: true }],
+      level: 'AAA',
+      block: true,
+    });
+    assert.deepEqual(target.exports, { ts: 'tokens.ts' });
+    assert.deepEqual(
+      [defaults.removalPolicy, defaults.debounceSeconds, defaults.contrast.level],
+      ['remove', 10, 'AAA']
+    );
+  });
+
+  for (const [description, config, message] of [
+    ['an empty target list', { targets: [] }, /must list at least one target/],
+    ['a config without targets', { target: TARGET }, /must list at least one target/],
+    ['duplicate ids', [TARGET, { ...TARGET, path: 'other.css' }], /Duplicate target id in .*: design-system/],
+    ['missing fields', [{ id: 'bare', path: 'style.css' }], /Target "bare" from .* is missing: owner, repo, botBranch/],
+    ['no themes', [{ ...TARGET, themes: [] }], /has invalid themes/],
+    [':root as a theme', [{ ...TARGET, themes: [':root'] }], /has invalid themes \(@theme and :root are always part of the section\): :root/],
+    ['an empty theme', [{ ...TARGET, themes: ['.dark-theme', ' '] }], /has invalid themes/],
+    ['no blocks', [{ ...TARGET, blocks: [] }], /has invalid blocks/],
+    ['a block that is not a theme', [{ ...TARGET, blocks: [':root', '.light-theme'] }], /has invalid blocks \(expected some of @theme, :root, \.dark-theme\): \.light-theme/],
+    ['an unknown removal policy', [{ ...TARGET, removalPolicy: 'delete' }], /has an unknown removal policy \(expected keep, .*\): delete/],
+    ['an unknown usage scan mode', [{ ...TARGET, usageScan: 'loud' }], /has an unknown usage scan mode \(expected off, warn or strict\): loud/],
+    ['a negative maxBranchBehind', [{ ...TARGET, maxBranchBehind: -1 }], /has an invalid maxBranchBehind/],
+    ['a fractional maxBranchBehind', [{ ...TARGET, maxBranchBehind: 2.5 }], /has an invalid maxBranchBehind/],
+    ['an unknown hand edit policy', [{ ...TARGET, humanEditPolicy: 'ignore' }], /has an unknown hand edit policy \(expected keep, flag\): ignore/],
+    ['a negative debounce window', [{ ...TARGET, debounceSeconds: -5 }], /has an invalid debounce window \(expected seconds >= 0\): -5/],
+    ['a non-numeric debounce window', [{ ...TARGET, debounceSeconds: 'soon' }], /has an invalid debounce window \(expected seconds >= 0\): soon/],
+    ['a malformed contrast pair', [{ ...TARGET, contrast: { pairs: ['--a:--b:--c'] } }], /Invalid contrast pair \(expected --foreground:--background\): --a:--b:--c/],
+    ['a contrast pair without a background', [{ ...TARGET, contrast: { pairs: [{ foreground: '--a' }] } }], /has an invalid contrast pair \(expected --foreground and --background tokens\)/],
+    ['an unknown contrast level', [{ ...TARGET, contrast: { level: 'A' } }], /has an unknown contrast level \(expected AA or AAA\): A/],
+    ['an unknown export format', [{ ...TARGET, exports: { json: 'tokens.json', scss: 'tokens.scss' } }], /has unknown export format\(s\): scss/],
+  ]) {
+    it(`rejects ${description}`, () => {
+      useTargetsFile(config);
+      assert.throws(() => loadSyncTargets(), message);
+    });
+  }
+
+  it('rejects an invalid default from the environment', () => {
+    Object.assign(process.env, { GITHUB_OWNER: 'o', GITHUB_REPO: 'r', TARGET_FILE_PATH: 'style.css', BOT_BRANCH: 'bot', DEBOUNCE_SECONDS: 'abc' });
+
+    assert.throws(() => loadSyncTargets(), /Target "default" from environment has an invalid debounce window \(expected seconds >= 0\): abc/);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTokenRemovals, coalesceTokenCSS, extractComponentTokens } from '../src/token-merger.js';
+
+describe('coalesceTokenCSS', () => {
+  it('keeps the newest value of every token and the tokens only older exports have', () => {
+    const older = '@theme {\n  --color-red: #f00;\n  --color-old: #111;\n}\n\n:root {\n  --bg: #fff;\n}\n';
+    const newer = '@theme {\n  --color-red: #e00;\n  --color-new: #222;\n}\n\n:root {\n  --bg: #fafafa;\n}\n\n.dark-theme {\n  --bg: #000;\n}\n';
+
+    assert.equal(
+      coalesceTokenCSS(older, newer),
+      '@theme {\n  --color-red: #e00;\n  --color-new: #222;\n  --color-old: #111;\n}\n\n:root {\n  --bg: #fafafa;\n}\n\n.dark-theme {\n  --bg: #000;\n}\n'
+    );
+  });
+
+  it('keeps component tokens in the component tier, whichever export they come from', () => {
+    const older = ':root {\n  --bg: #fff;\n  /* UPDATE ONLY IF EXISTS */\n  --node-bg: #eee;\n  --input-bg: #ddd;\n}\n';
+    const newer = ':root {\n  --bg: #fafafa;\n  --button-bg: var(--bg); /* UPDATE ONLY IF EXISTS */\n  --input-bg: #ccc; /* UPDATE ONLY IF EXISTS */\n  --text: #000;\n}\n';
+
+    const coalesced = coalesceTokenCSS(older, newer);
+
+    assert.deepEqual(extractComponentTokens(coalesced).tiers, [
+      { selector: ':root', name: '--bg', tier: 'semantic' },
+      { selector: ':root', name: '--text', tier: 'semantic' },
+      { selector: ':root', name: '--button-bg', tier: 'component' },
+      { selector: ':root', name: '--input-bg', tier: 'component' },
+      { selector: ':root', name: '--node-bg', tier: 'component' },
+    ]);
+    assert.match(coalesced, /--input-bg: #ccc; \/\* UPDATE ONLY IF EXISTS \*\//);
+  });
+
+  it('returns the newer export when either one has no token section', () => {
+    assert.equal(coalesceTokenCSS('body {}', ':root { --bg: #fff; }'), ':root { --bg: #fff; }');
+    assert.equal(coalesceTokenCSS(':root { --bg: #fff; }', 'body {}'), 'body {}');
+  });
+});
+
+describe('applyTokenRemovals', () => {
+  it('deprecates instead of removing a token that remaining tokens still reference', () => {
+    const merged = [
+      '@theme {',
+      '  --color-blue-500: #1a8cf0;',
+      '  --color-blue-600: #0a7bd0;',
+      '  --color-gray-100: #f3f3f3;',
+      '}',
+      '',
+      ':root {',
+      '  --text-accent: var(--color-blue-600);',
+      '  --legacy-bg: var(--color-gray-100);',
+      '}',
+    ].join('\n');
+    const incoming = '@theme {\n  --color-blue-500: #1a8cf0;\n}\n\n:root {\n  --text-accent: var(--color-blue-600);\n}';
+
+    const { content, removed } = applyTokenRemovals(merged, incoming, {
+      policy: 'remove',
+      markers: [{ selector: ':root', name: '--legacy-bg', replacement: null }],
+    });
+
+    assert.deepEqual(removed.map(token => [token.name, token.action, token.referencedBy]), [
+      ['--color-blue-600', 'deprecated', [':root --text-accent']],
+      ['--color-gray-100', 'removed', undefined],
+      ['--legacy-bg', 'removed', undefined],
+    ]);
+    assert.match(content, /\/\* DEPRECATED: removed from Figma \*\/\n {2}--color-blue-600: #0a7bd0;/);
+    assert.doesNotMatch(content, /--color-gray-100|--legacy-bg/);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenFormatError, convertW3CTokensToCSS } from '../src/w3c-tokens.js';
+
+describe('convertW3CTokensToCSS', () => {
+  it('converts typed values and aliases', () => {
+    const css = convertW3CTokensToCSS({
+      primitives: { color: { $type: 'color', blue: { 500: { $value: { colorSpace: 'srgb', components: [0, 0.5, 1], hex: '#0080ff' } } } } },
+      light: { text: { accent: { $value: '{color.blue.500}' } } },
+    });
+
+    assert.match(css, /@theme \{\n {2}--color-blue-500: #0080ff;\n\}/);
+    assert.match(css, /:root \{\n {2}--text-accent: var\(--color-blue-500\);\n\}/);
+  });
+
+  it('rejects values that are not a string, number or object with the token path', () => {
+    for (const value of [null, true]) {
+      assert.throws(
+        () => convertW3CTokensToCSS({ primitives: { color: { $type: 'color', blue: { $value: value } } } }),
+        error => error instanceof TokenFormatError && /^primitives\.color\.blue must have a string, number or object value/.test(error.message)
+      );
+    }
+
+    assert.throws(
+      () => convertW3CTokensToCSS({ light: { shadow: { $type: 'shadow', sm: { $value: { offsetX: '0', offsetY: '1px', blur: '2px', color: null } } } } }),
+      error => error instanceof TokenFormatError && /^light\.shadow\.sm /.test(error.message)
+    );
+  });
+});
@@ -0,0 +1,525 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore } from '../src/history-store.js';
+import { TokenUpdateWorkflow } from '../src/workflow.js';
+import { FakeGitHubClient } from './helpers/fake-github-client.js';
+import { RecordedLLMClient } from './helpers/recorded-llm-client.js';
+
+const TARGET = 'packages/design-system/src/css/style.css';
+const BOT_BRANCH = 'bot-update-design-tokens';
+
+const baseCSS = fs.readFileSync(new URL('./fixtures/workflow/style.css', import.meta.url), 'utf-8');
+const figmaCSS = fs.readFileSync(new URL('./fixtures/workflow/figma.css', import.meta.url), 'utf-8');
+const recordings = new URL('./fixtures/llm/token-update.json', import.meta.url);
+const lostTokenRecordings = new URL('./fixtures/llm/lost-token.json', import.meta.url);
+const truncatedRecordings = new URL('./fixtures/llm/truncated.json', import.meta.url);
+
+/**
+ * @param {FakeGitHubClient} github
+ * @param {object} llm
+ * @param {object} [config] - Extra workflow config
+ * @returns {TokenUpdateWorkflow}
+ */
+function createWorkflow(github, llm, config = {}) {
+  return new TokenUpdateWorkflow({
+    githubOwner: 'Comfy-Org',
+    githubRepo: 'ComfyUI_frontend',
+    targetFilePath: TARGET,
+    botBranch: BOT_BRANCH,
+    githubClient: github,
+    llmClient: llm,
+    ...config,
+  });
+}
+
+describe('TokenUpdateWorkflow.processUpdate', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('creates the bot branch and a PR when the branch does not exist', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    const llm = new RecordedLLMClient(recordings);
+
+    const result = await createWorkflow(github, llm).processUpdate(figmaCSS);
+
+    assert.equal(result.success, true);
+    assert.equal(result.baseBranch, 'main');
+    assert.deepEqual(llm.calls.map(call => call.split(' ')[0]), ['@theme', ':root', '.dark-theme']);
+
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /--color-blue-500: #1a8cf0;/);
+    assert.match(merged, /--color-blue-700: #0862a8;/);
+    assert.match(merged, /--text-accent: var\(--color-blue-600\);/);
+    assert.match(merged, /\/\* Neutral \*\//);
+    assert.equal(github.commits.get(result.commitSha).parent, github.branches.get('main'));
+
+    assert.equal(github.pullRequests.length, 1);
+    assert.equal(github.pullRequests[0].base, 'main');
+    assert.equal(result.prUrl, github.pullRequests[0].url);
+    assert.match(github.pullRequests[0].body, /--color-blue-500/);
+  });
+
+  it('commits on top of an existing bot branch', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await github.createBranch(BOT_BRANCH);
+    const previousHead = github.push(BOT_BRANCH, { 'CHANGELOG.md': 'Manual note\n' });
+
+    const result = await createWorkflow(github, new RecordedLLMClient(recordings)).processUpdate(figmaCSS);
+
+    assert.equal(result.success, true);
+    assert.equal(github.commits.get(result.commitSha).parent, previousHead);
+    assert.equal(github.readFile(BOT_BRANCH, 'CHANGELOG.md'), 'Manual note\n');
+    assert.match(github.readFile(BOT_BRANCH, TARGET), /--color-blue-500: #1a8cf0;/);
+    assert.equal(github.pullRequests.length, 1);
+  });
+
+  it('merges again when the bot branch moves between the read and the commit', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaCSS);
+
+    // A reviewer pushes a fix while the merge runs
+    const readFile = github.getFileContent.bind(github);
+    let reviewerCommit;
+    github.getFileContent = async (filePath, ref) => {
+      const file = await readFile(filePath, ref);
+      if (!reviewerCommit) {
+        const edited = github.readFile(BOT_BRANCH, TARGET).replace('--color-blue-500: #1a8cf0;', '--color-blue-500: #1a8cf1;');
+        reviewerCommit = github.push(BOT_BRANCH, { [TARGET]: edited }, 'Fix blue', 'reviewer');
+      }
+      return file;
+    };
+
+    const figmaUpdate = figmaCSS.replace('--color-blue-700: #0862a8;', '--color-blue-700: #0760a0;');
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.equal(github.commits.get(result.commitSha).parent, reviewerCommit);
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /--color-blue-500: #1a8cf1;/);
+    assert.match(merged, /--color-blue-700: #0760a0;/);
+  });
+
+  it('reports no changes when the bot branch moves to a head that already has the tokens', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaCSS);
+    const prBody = github.pullRequests[0].body;
+
+    // A concurrent sync of the same Figma push lands while the merge runs
+    const readFile = github.getFileContent.bind(github);
+    let concurrentCommit;
+    github.getFileContent = async (filePath, ref) => {
+      const file = await readFile(filePath, ref);
+      if (!concurrentCommit) {
+        const synced = github.readFile(BOT_BRANCH, TARGET).replace('--color-blue-700: #0862a8;', '--color-blue-700: #0760a0;');
+        concurrentCommit = github.push(BOT_BRANCH, { [TARGET]: synced }, '[automated] Update Design Tokens', 'design-token-bot');
+      }
+      return file;
+    };
+
+    const figmaUpdate = figmaCSS.replace('--color-blue-700: #0862a8;', '--color-blue-700: #0760a0;');
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.equal(result.noChanges, true);
+    assert.equal(result.commitSha, undefined);
+    assert.equal(github.branches.get(BOT_BRANCH), concurrentCommit);
+    assert.equal(github.pullRequests.length, 1);
+    assert.equal(github.pullRequests[0].body, prBody);
+  });
+
+  it('generates token exports when a configured theme is not in the file', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+
+    const result = await createWorkflow(github, null, {
+      mergeStrategy: 'deterministic',
+      themeSelectors: ['.dark-theme', '.high-contrast'],
+      exports: { json: 'tokens.json' },
+    }).processUpdate(figmaCSS);
+
+    assert.equal(result.success, true);
+    const tokens = JSON.parse(github.readFile(BOT_BRANCH, 'tokens.json'));
+    assert.equal(tokens['@theme']['--color-blue-500'], '#1a8cf0');
+    assert.equal(tokens['.high-contrast'], undefined);
+  });
+
+  it('blocks on contrast pairs that cannot be checked', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    const figmaWithMix = figmaCSS.replace(
+      '  --bg-base: var(--color-black);\n',
+      '  --bg-base: color-mix(in srgb, var(--color-black) 90%, var(--color-blue-700));\n'
+    );
+
+    const result = await createWorkflow(github, null, {
+      mergeStrategy: 'deterministic',
+      contrast: { pairs: [{ foreground: '--text-primary', background: '--bg-base' }], block: true },
+    }).processUpdate(figmaWithMix);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.violations.map(violation => [violation.type, violation.selector]), [['contrast-unresolved', '.dark-theme']]);
+    assert.match(result.violations[0].message, /cannot be checked: unsupported color value "color-mix/);
+    assert.equal(github.readFile(BOT_BRANCH, TARGET), baseCSS);
+  });
+
+  it('skips the commit and the PR when the tokens are already up to date', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await createWorkflow(github, new RecordedLLMClient(recordings)).processUpdate(figmaCSS);
+    const head = github.branches.get(BOT_BRANCH);
+    const llm = new RecordedLLMClient(recordings);
+
+    const result = await createWorkflow(github, llm).processUpdate(figmaCSS);
+
+    assert.equal(result.success, true);
+    assert.equal(result.noChanges, true);
+    assert.deepEqual(llm.calls, []);
+    assert.equal(github.branches.get(BOT_BRANCH), head);
+    assert.equal(github.pullRequests.length, 1);
+  });
+
+  it('updates the description of an existing PR instead of opening another', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await github.createBranch(BOT_BRANCH);
+    const existing = await github.createPullRequest('[automated] Update Design Tokens', BOT_BRANCH, 'main', 'Old description');
+
+    const result = await createWorkflow(github, new RecordedLLMClient(recordings)).processUpdate(figmaCSS);
+
+    assert.equal(result.success, true);
+    assert.equal(result.prUrl, existing.url);
+    assert.equal(github.pullRequests.length, 1);
+    assert.match(github.pullRequests[0].body, /--color-blue-700/);
+  });
+
+  it('refuses to commit a merge that loses tokens', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await github.createBranch(BOT_BRANCH);
+    const head = github.branches.get(BOT_BRANCH);
+
+    const result = await createWorkflow(github, new RecordedLLMClient(lostTokenRecordings)).processUpdate(figmaCSS);
+
+    assert.equal(result.success, false);
+    assert.ok(result.violations.some(violation => violation.type === 'missing-token' && violation.token === '--bg-base'));
+    assert.equal(github.branches.get(BOT_BRANCH), head);
+    assert.equal(github.pullRequests.length, 0);
+  });
+
+  it('fails instead of committing a truncated reply', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+
+    const result = await createWorkflow(github, new RecordedLLMClient(truncatedRecordings)).processUpdate(figmaCSS);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /truncated/);
+    assert.equal(github.readFile(BOT_BRANCH, TARGET), baseCSS);
+  });
+
+  it('updates component tokens only where the file declares them', async () => {
+    const github = new FakeGitHubClient({
+      files: { [TARGET]: baseCSS.replace('.button {\n', '.button {\n  --button-bg: var(--bg-base);\n') },
+    });
+    const figmaWithComponents = figmaCSS.replace(
+      '  --bg-base: var(--color-white);\n',
+      '  --bg-base: var(--color-white);\n  /* UPDATE ONLY IF EXISTS */\n  --button-bg: var(--color-blue-500);\n  --node-bg: var(--color-white);\n'
+    );
+
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaWithComponents);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.componentTokens, [
+      { name: '--button-bg', action: 'updated', occurrences: 1 },
+      { name: '--node-bg', action: 'dropped', occurrences: 0 },
+    ]);
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /\.button \{\n  --button-bg: var\(--color-blue-500\);/);
+    assert.doesNotMatch(merged, /--node-bg/);
+    assert.match(github.pullRequests[0].body, /## Component tokens/);
+  });
+});
+
+describe('TokenUpdateWorkflow hand edits on the bot branch', () => {
+  const figmaUpdate = figmaCSS
+    .replace('--color-blue-500: #1a8cf0;', '--color-blue-500: #2b9df1;')
+    .replace('--color-blue-700: #0862a8;', '--color-blue-700: #0760a0;');
+
+  /**
+   * Sync once, then push a reviewer's fix to the bot branch: a new blue-500 and no
+   * accent color in the dark theme
+   * @param {string} [message] - Message of the reviewer's commit
+   * @returns {Promise<FakeGitHubClient>}
+   */
+  async function branchWithHandEdits(message = 'Fix blue and dark accent') {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaCSS);
+    const edited = github.readFile(BOT_BRANCH, TARGET)
+      .replace('--color-blue-500: #1a8cf0;', '--color-blue-500: #1a8cf1;')
+      .replace('  --text-accent: var(--color-blue-500);\n', '');
+    github.push(BOT_BRANCH, { [TARGET]: edited }, message, 'reviewer');
+    return github;
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps hand-edited tokens and comments on the PR with what Figma would have overwritten', async () => {
+    const github = await branchWithHandEdits();
+
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /--color-blue-500: #1a8cf1;/);
+    assert.match(merged, /--color-blue-700: #0760a0;/);
+    assert.doesNotMatch(merged, /\.dark-theme \{[^}]*--text-accent/);
+    assert.deepEqual(
+      result.humanEdits.map(edit => [edit.selector, edit.name, edit.value, edit.figmaValue, edit.author]),
+      [
+        ['@theme', '--color-blue-500', '#1a8cf1', '#2b9df1', 'reviewer'],
+        ['.dark-theme', '--text-accent', null, 'var(--color-blue-500)', 'reviewer'],
+      ]
+    );
+
+    const [comment] = github.pullRequests[0].comments;
+    assert.match(comment, /would have overwritten 2 hand edit\(s\)/);
+    assert.match(comment, /\| `@theme` \| `--color-blue-500` \| `#1a8cf1` \| `#2b9df1` \| @reviewer/);
+  });
+
+  it('takes a reviewer commit with the bot message prefix for a hand edit', async () => {
+    const github = await branchWithHandEdits('[automated] Fix blue and dark accent');
+
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.match(github.readFile(BOT_BRANCH, TARGET), /--color-blue-500: #1a8cf1;/);
+    assert.equal(result.humanEdits.length, 2);
+  });
+
+  it('applies Figma values and flags the conflicts with the flag policy', async () => {
+    const github = await branchWithHandEdits();
+
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic', humanEditPolicy: 'flag' }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /--color-blue-500: #2b9df1;/);
+    assert.match(merged, /\.dark-theme \{[^}]*--text-accent: var\(--color-blue-500\);/);
+    assert.equal(result.humanEdits.length, 2);
+    assert.match(github.pullRequests[0].comments[0], /overwrote 2 hand edit\(s\)/);
+  });
+
+  it('does not take changes merged in from the base branch for hand edits', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaCSS);
+    github.push('main', { [TARGET]: github.readFile(BOT_BRANCH, TARGET).replace('--color-blue-500: #1a8cf0;', '--color-blue-500: #1a8cf1;') });
+    github.merge(BOT_BRANCH, 'main');
+
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.humanEdits, []);
+    assert.match(github.readFile(BOT_BRANCH, TARGET), /--color-blue-500: #2b9df1;/);
+    assert.deepEqual(github.pullRequests[0].comments, []);
+  });
+
+  it('does not comment when Figma agrees with the hand edits', async () => {
+    const github = await branchWithHandEdits();
+    const agreeing = figmaUpdate
+      .replace('--color-blue-500: #2b9df1;', '--color-blue-500: #1a8cf1;')
+      .replace('  --text-accent: var(--color-blue-500);\n', '');
+
+    const result = await createWorkflow(github, null, { mergeStrategy: 'deterministic' }).processUpdate(agreeing);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.humanEdits, []);
+    assert.deepEqual(github.pullRequests[0].comments, []);
+  });
+});
+
+describe('TokenUpdateWorkflow stale bot branches', () => {
+  const figmaUpdate = figmaCSS.replace('--color-blue-700: #0862a8;', '--color-blue-700: #0760a0;');
+
+  /**
+   * @param {FakeGitHubClient} github
+   * @param {object} [config] - Extra workflow config
+   * @returns {TokenUpdateWorkflow}
+   */
+  function deterministicWorkflow(github, config = {}) {
+    return createWorkflow(github, null, { mergeStrategy: 'deterministic', ...config });
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reopens a PR that was closed without merging', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await deterministicWorkflow(github).processUpdate(figmaCSS);
+    github.pullRequests[0].state = 'closed';
+
+    const result = await deterministicWorkflow(github).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.equal(github.pullRequests.length, 1);
+    assert.equal(github.pullRequests[0].state, 'open');
+    assert.equal(result.prUrl, github.pullRequests[0].url);
+    assert.deepEqual(result.decisions.map(decision => `${decision.subject}: ${decision.action}`), ['branch: update', 'pull-request: reopened']);
+  });
+
+  it('starts the branch over from the base branch when its PR was merged', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await deterministicWorkflow(github).processUpdate(figmaCSS);
+    const mergeCommit = github.push('main', { [TARGET]: github.readFile(BOT_BRANCH, TARGET) }, 'Merge pull request #1');
+    Object.assign(github.pullRequests[0], { state: 'closed', merged: true });
+
+    const result = await deterministicWorkflow(github).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.equal(github.commits.get(result.commitSha).parent, mergeCommit);
+    assert.equal(github.pullRequests.length, 2);
+    assert.equal(github.pullRequests[1].state, 'open');
+    assert.deepEqual(result.decisions.map(decision => `${decision.subject}: ${decision.action}`), ['branch: recreate', 'pull-request: created']);
+    assert.match(result.decisions[0].reason, /PR #1 was merged/);
+  });
+
+  it('rebases a branch that is too far behind the base branch, keeping its tokens', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await deterministicWorkflow(github).processUpdate(figmaCSS);
+    github.push('main', { 'README.md': 'Docs\n' });
+    const mainHead = github.push('main', { [TARGET]: baseCSS.replace('.button {\n', '.button {\n  border: none;\n') });
+
+    const result = await deterministicWorkflow(github, { maxBranchBehind: 1 }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    const rebaseCommit = github.commits.get(github.commits.get(result.commitSha).parent);
+    assert.equal(rebaseCommit.parent, mainHead);
+    assert.match(rebaseCommit.message, /Rebase Design Tokens onto main/);
+
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /border: none;/);
+    assert.match(merged, /--color-blue-500: #1a8cf0;/);
+    assert.match(merged, /--color-blue-700: #0760a0;/);
+    assert.equal(github.pullRequests.length, 1);
+    assert.equal(result.decisions[0].action, 'rebase');
+    assert.match(result.decisions[0].reason, /2 commit\(s\) behind main \(more than 1\)/);
+  });
+
+  it('merges the base branch into a stale branch instead of dropping hand commits', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await deterministicWorkflow(github).processUpdate(figmaCSS);
+    const cssCommit = github.push(BOT_BRANCH, { [TARGET]: github.readFile(BOT_BRANCH, TARGET).replace('.button {\n', '.button {\n  outline: 0;\n') }, 'Drop the focus outline');
+    const changelogCommit = github.push(BOT_BRANCH, { 'CHANGELOG.md': '- New blues\n' }, 'Add changelog entry');
+    github.push('main', { 'README.md': 'Docs\n' });
+    github.push('main', { 'README.md': 'More docs\n' });
+
+    const result = await deterministicWorkflow(github, { maxBranchBehind: 1 }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    const history = github.ancestors(result.commitSha);
+    assert.ok(history.has(cssCommit));
+    assert.ok(history.has(changelogCommit));
+    assert.ok(history.has(github.branches.get('main')));
+    assert.equal(github.readFile(BOT_BRANCH, 'CHANGELOG.md'), '- New blues\n');
+    assert.equal(github.readFile(BOT_BRANCH, 'README.md'), 'More docs\n');
+    const merged = github.readFile(BOT_BRANCH, TARGET);
+    assert.match(merged, /outline: 0;/);
+    assert.match(merged, /--color-blue-700: #0760a0;/);
+    assert.deepEqual(result.decisions.map(decision => `${decision.subject}: ${decision.action}`), ['branch: rebase', 'branch: merge-base', 'pull-request: updated']);
+    assert.match(result.decisions[1].reason, new RegExp(`${cssCommit.slice(0, 7)} "Drop the focus outline"`));
+    assert.match(result.decisions[1].reason, new RegExp(`${changelogCommit.slice(0, 7)} "Add changelog entry"`));
+  });
+
+  it('refuses to rebase a stale branch whose hand commits conflict with the base branch', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await deterministicWorkflow(github).processUpdate(figmaCSS);
+    const changelogCommit = github.push(BOT_BRANCH, { 'CHANGELOG.md': '- New blues\n' }, 'Add changelog entry');
+    github.push('main', { 'CHANGELOG.md': '- Other work\n' });
+    github.push('main', { 'README.md': 'Docs\n' });
+
+    const result = await deterministicWorkflow(github, { maxBranchBehind: 1 }).processUpdate(figmaUpdate);
+
+    assert.equal(result.success, true);
+    assert.ok(github.ancestors(result.commitSha).has(changelogCommit));
+    assert.equal(github.readFile(BOT_BRANCH, 'CHANGELOG.md'), '- New blues\n');
+    assert.match(github.readFile(BOT_BRANCH, TARGET), /--color-blue-700: #0760a0;/);
+    assert.equal(result.decisions[1].action, 'rebase-refused');
+    assert.match(result.decisions[1].reason, new RegExp(`${changelogCommit.slice(0, 7)} "Add changelog entry" \\(reviewer\\)`));
+  });
+});
+
+describe('TokenUpdateWorkflow.revertTo', () => {
+  let history;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    history = new HistoryStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'history.json'));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records a sync and opens a PR restoring its token section', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    const sync = await createWorkflow(github, new RecordedLLMClient(recordings), { history, targetId: 'default', submittedBy: 'figma-plugin' })
+      .processUpdate(figmaCSS);
+
+    const [entry] = history.list();
+    assert.equal(sync.historyId, entry.id);
+    assert.equal(entry.target, 'default');
+    assert.equal(entry.submittedBy, 'figma-plugin');
+    assert.equal(entry.commitSha, sync.commitSha);
+    assert.equal(entry.prUrl, sync.prUrl);
+    assert.match(entry.cssHash, /^[0-9a-f]{64}$/);
+    assert.deepEqual(entry.tokenDiff, sync.tokenDiff);
+
+    // The sync PR is merged, then someone changes a token by hand
+    github.branches.set('main', github.branches.get(BOT_BRANCH));
+    github.pullRequests[0].state = 'closed';
+    const edited = github.readFile('main', TARGET).replace('--color-blue-500: #1a8cf0;', '--color-blue-500: #ff0000;');
+    github.push('main', { [TARGET]: edited.replace('.button {\n', '.button {\n  color: red;\n') });
+
+    const result = await createWorkflow(github, null, { history }).revertTo(entry);
+
+    assert.equal(result.success, true);
+    assert.equal(result.branch, `${BOT_BRANCH}-revert-${entry.id.slice(0, 8)}`);
+    const reverted = github.readFile(result.branch, TARGET);
+    assert.match(reverted, /--color-blue-500: #1a8cf0;/);
+    assert.match(reverted, /\.button \{\n  color: red;/);
+    assert.deepEqual(result.tokenDiff[0].changed, [{ name: '--color-blue-500', oldValue: '#ff0000', newValue: '#1a8cf0' }]);
+
+    assert.equal(github.pullRequests.length, 2);
+    assert.equal(github.pullRequests[1].head, result.branch);
+    assert.match(github.pullRequests[1].body, new RegExp(entry.id));
+    assert.equal(history.list()[0].revertOf, entry.id);
+  });
+
+  it('does nothing when the token section already matches', async () => {
+    const github = new FakeGitHubClient({ files: { [TARGET]: baseCSS } });
+    await createWorkflow(github, null, { history, mergeStrategy: 'deterministic' }).processUpdate(figmaCSS);
+    github.branches.set('main', github.branches.get(BOT_BRANCH));
+
+    const result = await createWorkflow(github, null, { history }).revertTo(history.list()[0]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.noChanges, true);
+    assert.equal(history.list().length, 1);
+  });
+});